@@ -0,0 +1,516 @@
+// src/controllers/account.controller.js
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const { prisma } = require('../config/db');
+const { getMediaFilePath } = require('../utils/media.util');
+const { sendFailure } = require('../utils/failure.util');
+const { publishEvent } = require('../services/notification.service');
+const { getRoleRank } = require('../utils/groupRole.util');
+const { bumpKeyEpoch, getMemberRoles, setMemberRole, removeGroupMember } = require('../services/group.service');
+const { hashPhoneNumber, getRelatedUserIds } = require('../services/contact.service');
+const { OTP_PURPOSES, OTP_FAILURES, sendVerificationCode, verifyOTP } = require('../utils/otp.util');
+const { PIN_FAILURES, verifyPin } = require('../services/pin.service');
+const { verifyAuthenticatorCode } = require('../services/twoFactor.service');
+
+/**
+ * Start moving the account to a new phone number. A code is sent to both
+ * the current and the new number.
+ * @route POST /api/auth/change-number
+ */
+const startNumberChange = async (req, res) => {
+  try {
+    const { newPhoneNumber } = req.body;
+    const user = req.user;
+
+    if (!newPhoneNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the new phone number'
+      });
+    }
+
+    if (newPhoneNumber === user.phoneNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'New phone number must be different from the current one'
+      });
+    }
+
+    const existingUser = await prisma.user.findUnique({
+      where: { phoneNumber: newPhoneNumber }
+    });
+
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'Phone number is already registered'
+      });
+    }
+
+    const oldResult = await sendVerificationCode(user.id, OTP_PURPOSES.CHANGE_NUMBER_OLD, 'sms', user.phoneNumber);
+
+    if (oldResult.reason) {
+      return sendFailure(res, OTP_FAILURES, oldResult);
+    }
+
+    // The new number's code only confirms a move to that exact number
+    const newResult = await sendVerificationCode(user.id, OTP_PURPOSES.CHANGE_NUMBER_NEW, 'sms', newPhoneNumber, {
+      bindToDestination: true
+    });
+
+    if (newResult.reason) {
+      return sendFailure(res, OTP_FAILURES, newResult);
+    }
+
+    if (!oldResult.sent || !newResult.sent) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to send verification codes'
+      });
+    }
+
+    // Only recorded once both codes are out, so a refused send leaves no pending number behind
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { pendingPhoneNumber: newPhoneNumber }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification codes sent to your current and new phone numbers'
+    });
+  } catch (error) {
+    console.error('Start number change error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while changing phone number',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Confirm the number change with the codes sent to both numbers
+ * @route POST /api/auth/change-number/confirm
+ */
+const confirmNumberChange = async (req, res) => {
+  try {
+    const { oldOtp, newOtp } = req.body;
+    const user = req.user;
+
+    if (!oldOtp || !newOtp) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the codes sent to both phone numbers'
+      });
+    }
+
+    if (!user.pendingPhoneNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'No phone number change is in progress'
+      });
+    }
+
+    const oldCheck = await verifyOTP(user.id, oldOtp, OTP_PURPOSES.CHANGE_NUMBER_OLD);
+
+    if (!oldCheck.valid) {
+      return sendFailure(res, OTP_FAILURES, oldCheck);
+    }
+
+    const newCheck = await verifyOTP(user.id, newOtp, OTP_PURPOSES.CHANGE_NUMBER_NEW, user.pendingPhoneNumber);
+
+    if (!newCheck.valid) {
+      return sendFailure(res, OTP_FAILURES, newCheck);
+    }
+
+    // The number may have been registered while the codes were in flight
+    const existingUser = await prisma.user.findUnique({
+      where: { phoneNumber: user.pendingPhoneNumber }
+    });
+
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'Phone number is already registered'
+      });
+    }
+
+    // The user keeps their ID, so group memberships and messages stay attached
+    const updatedUser = await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        phoneNumber: user.pendingPhoneNumber,
+        phoneHash: hashPhoneNumber(user.pendingPhoneNumber),
+        pendingPhoneNumber: null
+      }
+    });
+
+    const relatedUserIds = await getRelatedUserIds(user.id);
+
+    // Address books hold the old number, so those contact entries no longer apply
+    await prisma.contact.deleteMany({
+      where: { contactId: user.id }
+    });
+    await publishEvent(relatedUserIds, 'phone_number_changed', {
+      userId: user.id,
+      phoneNumber: updatedUser.phoneNumber
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Phone number changed successfully',
+      user: {
+        id: updatedUser.id,
+        phoneNumber: updatedUser.phoneNumber
+      }
+    });
+  } catch (error) {
+    console.error('Confirm number change error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while changing phone number',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Hand over or delete the groups a user administers before their account goes
+ * @param {string} userId - User being deleted
+ * @param {string} groupAction - "transfer" or "delete"
+ * @returns {Object} IDs of transferred and deleted groups
+ */
+const releaseAdministeredGroups = async (userId, groupAction) => {
+  const groups = await prisma.group.findMany({
+    where: { adminId: userId }
+  });
+
+  const transferred = [];
+  const deleted = [];
+
+  for (const group of groups) {
+    const remainingMemberIds = group.memberIds.filter(id => id !== userId);
+
+    if (groupAction === 'delete' || remainingMemberIds.length === 0) {
+      await prisma.group.delete({
+        where: { id: group.id }
+      });
+      deleted.push(group.id);
+      continue;
+    }
+
+    // The highest-ranked remaining member becomes owner, the longest-standing on a tie
+    const roles = await getMemberRoles(group);
+    const newOwnerId = remainingMemberIds.reduce((best, id) => (
+      getRoleRank(roles.get(id)) > getRoleRank(roles.get(best)) ? id : best
+    ));
+
+    await prisma.group.update({
+      where: { id: group.id },
+      data: {
+        adminId: newOwnerId,
+        memberIds: { set: remainingMemberIds }
+      }
+    });
+    await setMemberRole(group.id, newOwnerId, 'owner');
+    await bumpKeyEpoch(group.id, 'leave');
+    transferred.push(group.id);
+  }
+
+  return { transferred, deleted };
+};
+
+/**
+ * Send the code that confirms deleting the current user's account
+ * @route POST /api/auth/account/delete-code
+ */
+const requestAccountDeletion = async (req, res) => {
+  try {
+    const user = req.user;
+
+    const otpResult = await sendVerificationCode(user.id, OTP_PURPOSES.DELETE_ACCOUNT, 'sms', user.phoneNumber);
+
+    if (otpResult.reason) {
+      return sendFailure(res, OTP_FAILURES, otpResult);
+    }
+
+    if (!otpResult.sent) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to send verification code'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Verification code sent to your phone number'
+    });
+  } catch (error) {
+    console.error('Request account deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting account',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete the current user's account. Needs a code from
+ * POST /api/auth/account/delete-code, plus the PIN and an authenticator code
+ * when those are enabled.
+ * @route DELETE /api/auth/account
+ */
+const deleteAccount = async (req, res) => {
+  try {
+    const { groupAction = 'transfer', otp, pin, code } = req.body || {};
+    const user = req.user;
+    const userId = user.id;
+
+    if (!['transfer', 'delete'].includes(groupAction)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Group action must be either transfer or delete'
+      });
+    }
+
+    const totpRequired = Boolean(user.totpEnabled && user.totpSecret);
+
+    if (!otp || (user.pinHash && !pin) || (totpRequired && !code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please confirm with the code sent to your phone, your PIN and your authenticator code where enabled',
+        pinRequired: Boolean(user.pinHash),
+        totpRequired
+      });
+    }
+
+    const otpCheck = await verifyOTP(userId, otp, OTP_PURPOSES.DELETE_ACCOUNT);
+
+    if (!otpCheck.valid) {
+      return sendFailure(res, OTP_FAILURES, otpCheck);
+    }
+
+    if (user.pinHash) {
+      const pinCheck = await verifyPin(user, pin);
+
+      if (!pinCheck.valid) {
+        return sendFailure(res, PIN_FAILURES, pinCheck);
+      }
+    }
+
+    if (totpRequired) {
+      const codeCheck = await verifyAuthenticatorCode(user, code);
+
+      if (!codeCheck.valid) {
+        return sendFailure(res, OTP_FAILURES, codeCheck);
+      }
+    }
+
+    const groups = await releaseAdministeredGroups(userId, groupAction);
+
+    // Leave every remaining group
+    const memberGroups = await prisma.group.findMany({
+      where: { memberIds: { has: userId } }
+    });
+
+    for (const group of memberGroups) {
+      await removeGroupMember(group, userId, 'leave');
+    }
+
+    await prisma.memberNickname.deleteMany({ where: { userId } });
+    await prisma.reaction.deleteMany({ where: { userId } });
+
+    // Remove the media this user uploaded. Message media URLs come from the
+    // client and may point at someone else's file, so they aren't used here.
+    const uploads = await prisma.media.findMany({
+      where: { uploadedBy: userId },
+      select: { filename: true }
+    });
+
+    for (const upload of uploads) {
+      const filePath = getMediaFilePath(upload.filename);
+
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    }
+
+    await prisma.media.deleteMany({ where: { uploadedBy: userId } });
+
+    // Soft-delete sent messages so conversations keep their shape
+    const sentMessages = await prisma.message.findMany({
+      where: { senderId: userId },
+      select: { id: true }
+    });
+
+    await prisma.messageKey.deleteMany({
+      where: {
+        OR: [
+          { messageId: { in: sentMessages.map(message => message.id) } },
+          { recipientId: userId }
+        ]
+      }
+    });
+
+    await prisma.message.updateMany({
+      where: { senderId: userId },
+      data: {
+        deleted: true,
+        content: '',
+        encryptedKey: null,
+        mediaUrl: null,
+        mediaType: null
+      }
+    });
+
+    await prisma.otpData.deleteMany({ where: { userId } });
+
+    // Sessions, devices and notifications are removed with the user
+    await prisma.user.delete({
+      where: { id: userId }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Account deleted successfully',
+      data: {
+        transferredGroups: groups.transferred,
+        deletedGroups: groups.deleted
+      }
+    });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting account',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Download a zip archive of the current user's data
+ * @route GET /api/auth/export
+ */
+const exportAccountData = async (req, res) => {
+  try {
+    const user = req.user;
+
+    const [handle, devices, groups, messages, uploads] = await Promise.all([
+      prisma.handle.findUnique({
+        where: { userId: user.id }
+      }),
+      prisma.device.findMany({
+        where: { userId: user.id }
+      }),
+      prisma.group.findMany({
+        where: { memberIds: { has: user.id } }
+      }),
+      prisma.message.findMany({
+        where: {
+          OR: [
+            { senderId: user.id },
+            { receiverId: user.id }
+          ]
+        },
+        orderBy: { createdAt: 'asc' }
+      }),
+      prisma.media.findMany({
+        where: { uploadedBy: user.id },
+        select: { filename: true }
+      })
+    ]);
+
+    const profile = {
+      id: user.id,
+      phoneNumber: user.phoneNumber,
+      username: user.username,
+      handle: handle ? handle.handle : null,
+      profilePic: user.profilePic,
+      status: user.status,
+      email: user.email,
+      twoFactorAuth: user.twoFactorAuth,
+      twoFactorType: user.twoFactorType,
+      publicKey: user.publicKey,
+      createdAt: user.createdAt,
+      lastSeen: user.lastSeen,
+      devices: devices.map(device => ({
+        id: device.id,
+        name: device.name,
+        platform: device.platform,
+        createdAt: device.createdAt,
+        lastActiveAt: device.lastActiveAt
+      }))
+    };
+
+    const groupMemberships = groups.map(group => ({
+      id: group.id,
+      name: group.name,
+      description: group.description,
+      isAdmin: group.adminId === user.id,
+      createdAt: group.createdAt
+    }));
+
+    // Message content is end-to-end encrypted, so only metadata is exported
+    const messageMetadata = messages.map(message => ({
+      id: message.id,
+      direction: message.senderId === user.id ? 'sent' : 'received',
+      senderId: message.senderId,
+      receiverId: message.receiverId,
+      groupId: message.groupId,
+      mediaType: message.mediaType,
+      mediaFile: message.mediaUrl ? path.basename(message.mediaUrl) : null,
+      isRead: message.isRead,
+      deleted: message.deleted,
+      createdAt: message.createdAt
+    }));
+
+    const archive = archiver('zip', { zlib: { level: 9 } });
+
+    archive.on('error', (error) => {
+      console.error('Export archive error:', error);
+      res.destroy(error);
+    });
+
+    res.attachment(`m2you-export-${new Date().toISOString().slice(0, 10)}.zip`);
+    archive.pipe(res);
+
+    archive.append(JSON.stringify(profile, null, 2), { name: 'profile.json' });
+    archive.append(JSON.stringify(groupMemberships, null, 2), { name: 'groups.json' });
+    archive.append(JSON.stringify(messageMetadata, null, 2), { name: 'messages.json' });
+
+    // Media the user uploaded, still encrypted as uploaded
+    for (const upload of uploads) {
+      const filePath = getMediaFilePath(upload.filename);
+
+      if (fs.existsSync(filePath)) {
+        archive.file(filePath, { name: `media/${path.basename(filePath)}` });
+      }
+    }
+
+    await archive.finalize();
+  } catch (error) {
+    console.error('Export account data error:', error);
+
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error while exporting account data',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  startNumberChange,
+  confirmNumberChange,
+  requestAccountDeletion,
+  deleteAccount,
+  exportAccountData
+};
@@ -1,8 +1,123 @@
 const crypto = require('crypto');
-const bcrypt = require('bcrypt');
 const { prisma } = require('../config/db');
-const { generateToken } = require('../services/jwt.service');
-const { generateOTP, saveOTP, sendOTPViaSMS, verifyOTP } = require('../utils/otp.util');
+const { sendFailure } = require('../utils/failure.util');
+const { applyPrivacy } = require('../utils/privacy.util');
+const { hashPhoneNumber, getVisibilityContext } = require('../services/contact.service');
+const { verifyAuthenticatorCode } = require('../services/twoFactor.service');
+const { normalizeHandle } = require('../services/handle.service');
+const { claimPendingGroupInvites } = require('../services/group.service');
+const { publishKeyChange } = require('../services/key.service');
+const { DEVICE_FAILURES, isDeviceKeyRequired, registerLoginDevice } = require('../services/device.service');
+const { PIN_FAILURES, isRegistrationLockActive, verifyPin } = require('../services/pin.service');
+const { createSession, rotateSession, revokeSession: revokeSessionById, revokeAllSessions } = require('../services/session.service');
+const { generateChallengeToken, verifyChallengeToken } = require('../services/jwt.service');
+const {
+  OTP_PURPOSES,
+  OTP_FAILURES,
+  sendVerificationCode,
+  verifyOTP
+} = require('../utils/otp.util');
+
+/**
+ * Collect client details stored with a session
+ * @param {Object} req - Express request
+ * @returns {Object} Session metadata
+ */
+const getSessionMeta = (req) => ({
+  userAgent: req.headers['user-agent'],
+  ipAddress: req.ip
+});
+
+/**
+ * Channel a user's second-factor codes come from
+ * @param {Object} user - User with two-factor authentication enabled
+ * @returns {string} "totp", "email" or "sms"
+ */
+const getSecondFactorChannel = (user) => {
+  if (user.twoFactorType === 'totp' && user.totpEnabled) {
+    return 'totp';
+  }
+  
+  return user.twoFactorType === 'email' && user.email ? 'email' : 'sms';
+};
+
+/**
+ * Send a verification code to the user for the given purpose
+ * @param {Object} user - User to send the code to
+ * @param {string} [purpose] - One of OTP_PURPOSES
+ * @returns {Object} { sent: true }, or { sent: false } with a `reason` when sending was refused
+ */
+const issueOTP = async (user, purpose = OTP_PURPOSES.LOGIN) => {
+  // Login codes always go to the phone, second-factor codes follow the user's setting
+  if (purpose === OTP_PURPOSES.TWO_FACTOR && getSecondFactorChannel(user) === 'email') {
+    return await sendVerificationCode(user.id, purpose, 'email', user.email);
+  }
+  
+  return await sendVerificationCode(user.id, purpose, 'sms', user.phoneNumber);
+};
+
+/**
+ * Register the device a login was completed from, open a session on it and send the tokens
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} user - Authenticated user
+ * @param {Object} deviceInfo - { deviceName, platform, publicKey } submitted by the client
+ * @param {string} message - Success message
+ */
+const completeLogin = async (req, res, user, deviceInfo, message) => {
+  const { deviceName, platform, publicKey } = deviceInfo || {};
+  
+  // Accounts created before contact discovery get their hash on next login
+  if (!user.phoneHash) {
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { phoneHash: hashPhoneNumber(user.phoneNumber) }
+    });
+  }
+  
+  // Find or register the device this verification was made from
+  const deviceResult = await registerLoginDevice(user, { deviceName, platform, publicKey });
+  
+  if (deviceResult.reason) {
+    return sendFailure(res, DEVICE_FAILURES, deviceResult);
+  }
+  
+  const { device } = deviceResult;
+  
+  // A new device is a new key contacts should be able to notice
+  if (deviceResult.isNew) {
+    await publishKeyChange(user.id, {
+      reason: 'device_added',
+      deviceId: device.id
+    });
+  }
+  
+  // Start a new session and issue its tokens
+  const { accessToken, refreshToken } = await createSession(user, {
+    ...getSessionMeta(req),
+    deviceId: device.id
+  });
+  
+  return res.status(200).json({
+    success: true,
+    message,
+    token: accessToken,
+    refreshToken,
+    device: {
+      id: device.id,
+      name: device.name,
+      platform: device.platform
+    },
+    user: {
+      id: user.id,
+      phoneNumber: user.phoneNumber,
+      username: user.username,
+      profilePic: user.profilePic,
+      status: user.status,
+      twoFactorAuth: user.twoFactorAuth
+    }
+  });
+};
 
 /**
  * Register a new user
@@ -35,18 +150,22 @@ const register = async (req, res) => {
     const newUser = await prisma.user.create({
       data: {
         phoneNumber,
+        phoneHash: hashPhoneNumber(phoneNumber),
         publicKey,
+        publicKeyHistory: {
+          create: { publicKey }
+        }
       }
     });
     
-    // Generate and save OTP
-    const otp = generateOTP();
-    await saveOTP(newUser.id, otp);
+    // Generate, save and send OTP via SMS
+    const otpResult = await issueOTP(newUser);
     
-    // Send OTP via SMS
-    const smsSent = await sendOTPViaSMS(phoneNumber, otp);
+    if (otpResult.reason) {
+      return sendFailure(res, OTP_FAILURES, otpResult);
+    }
     
-    if (!smsSent) {
+    if (!otpResult.sent) {
       return res.status(500).json({
         success: false,
         message: 'Failed to send verification code'
@@ -74,7 +193,7 @@ const register = async (req, res) => {
  */
 const verifyPhone = async (req, res) => {
   try {
-    const { userId, otp } = req.body;
+    const { userId, otp, pin, deviceName, platform, publicKey } = req.body;
     
     if (!userId || !otp) {
       return res.status(400).json({
@@ -83,19 +202,130 @@ const verifyPhone = async (req, res) => {
       });
     }
     
+    // Get user
+    const user = await prisma.user.findUnique({
+      where: { id: userId }
+    });
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    // Refuse a missing device key before the OTP is used up
+    if (await isDeviceKeyRequired(user, publicKey)) {
+      return sendFailure(res, DEVICE_FAILURES, { reason: 'key_required' });
+    }
+    
+    // Ask for the PIN before the OTP is used up
+    const pinRequired = isRegistrationLockActive(user);
+    
+    if (pinRequired && !pin) {
+      return sendFailure(res, PIN_FAILURES, { reason: 'required' });
+    }
+    
     // Verify OTP
-    const isValid = await verifyOTP(userId, otp);
+    const otpCheck = await verifyOTP(userId, otp);
+    
+    if (!otpCheck.valid) {
+      return sendFailure(res, OTP_FAILURES, otpCheck);
+    }
+    
+    // Receiving the SMS isn't enough to take over a PIN-protected account
+    if (pinRequired) {
+      const pinCheck = await verifyPin(user, pin);
+      
+      if (!pinCheck.valid) {
+        return sendFailure(res, PIN_FAILURES, pinCheck);
+      }
+    }
+    
+    // The first verification after registering joins the groups this number
+    // was invited to before it had an account. Joining is a side effect, so a
+    // failure here is logged rather than failing the login.
+    const firstVerification = await prisma.user.updateMany({
+      where: { id: user.id, phoneVerifiedAt: null },
+      data: { phoneVerifiedAt: new Date() }
+    });
+    
+    if (firstVerification.count > 0) {
+      try {
+        await claimPendingGroupInvites(user);
+      } catch (error) {
+        console.error('Claim pending group invites error:', error);
+      }
+    }
     
-    if (!isValid) {
+    const deviceInfo = { deviceName, platform, publicKey };
+    
+    // Users with two-factor authentication must complete a second step first
+    if (user.twoFactorAuth) {
+      // Authenticator apps generate their own codes, nothing needs sending
+      if (getSecondFactorChannel(user) !== 'totp') {
+        const otpResult = await issueOTP(user, OTP_PURPOSES.TWO_FACTOR);
+        
+        // A code sent moments ago is still valid, so the cooldown doesn't block the challenge
+        if (otpResult.reason && otpResult.reason !== 'cooldown') {
+          return sendFailure(res, OTP_FAILURES, otpResult);
+        }
+        
+        if (!otpResult.sent && !otpResult.reason) {
+          return res.status(500).json({
+            success: false,
+            message: 'Failed to send verification code'
+          });
+        }
+      }
+      
+      return res.status(200).json({
+        success: true,
+        message: 'Phone verified, second factor required',
+        twoFactorRequired: true,
+        twoFactorType: getSecondFactorChannel(user),
+        challengeToken: generateChallengeToken(user, deviceInfo)
+      });
+    }
+    
+    await completeLogin(req, res, user, deviceInfo, 'Phone verification successful');
+  } catch (error) {
+    console.error('Verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during verification',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Complete a login with the second factor
+ * @route POST /api/auth/2fa/verify
+ */
+const verifySecondFactor = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+    
+    if (!challengeToken || !code) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid or expired OTP'
+        message: 'Please provide challenge token and code'
+      });
+    }
+    
+    let challenge;
+    try {
+      challenge = verifyChallengeToken(challengeToken);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge token'
       });
     }
     
-    // Get user
     const user = await prisma.user.findUnique({
-      where: { id: userId }
+      where: { id: challenge.id }
     });
     
     if (!user) {
@@ -105,27 +335,93 @@ const verifyPhone = async (req, res) => {
       });
     }
     
-    // Generate JWT token
-    const token = generateToken(user);
+    // Authenticator and recovery codes are checked locally, anything else is a sent code
+    const isSentCode = getSecondFactorChannel(user) !== 'totp' && /^\d{6}$/.test(String(code));
+    const codeCheck = isSentCode
+      ? await verifyOTP(user.id, code, OTP_PURPOSES.TWO_FACTOR)
+      : await verifyAuthenticatorCode(user, code);
+    
+    if (!codeCheck.valid) {
+      return sendFailure(res, OTP_FAILURES, codeCheck);
+    }
+    
+    await completeLogin(req, res, user, challenge.device, 'Two-factor verification successful');
+  } catch (error) {
+    console.error('Two-factor verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during two-factor verification',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Resend the second-factor code for a pending login
+ * @route POST /api/auth/2fa/resend
+ */
+const resendSecondFactor = async (req, res) => {
+  try {
+    const { challengeToken } = req.body;
+    
+    if (!challengeToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide challenge token'
+      });
+    }
+    
+    let challenge;
+    try {
+      challenge = verifyChallengeToken(challengeToken);
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge token'
+      });
+    }
+    
+    const user = await prisma.user.findUnique({
+      where: { id: challenge.id }
+    });
+    
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+    
+    if (getSecondFactorChannel(user) === 'totp') {
+      return res.status(400).json({
+        success: false,
+        message: 'Use the code shown in your authenticator app'
+      });
+    }
+    
+    const otpResult = await issueOTP(user, OTP_PURPOSES.TWO_FACTOR);
+    
+    if (otpResult.reason) {
+      return sendFailure(res, OTP_FAILURES, otpResult);
+    }
+    
+    if (!otpResult.sent) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to send verification code'
+      });
+    }
     
     res.status(200).json({
       success: true,
-      message: 'Phone verification successful',
-      token,
-      user: {
-        id: user.id,
-        phoneNumber: user.phoneNumber,
-        username: user.username,
-        profilePic: user.profilePic,
-        status: user.status,
-        twoFactorAuth: user.twoFactorAuth
-      }
+      message: 'Verification code sent',
+      twoFactorType: getSecondFactorChannel(user)
     });
   } catch (error) {
-    console.error('Verification error:', error);
+    console.error('Resend two-factor code error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error during verification',
+      message: 'Server error while resending verification code',
       error: error.message
     });
   }
@@ -158,14 +454,14 @@ const login = async (req, res) => {
       });
     }
     
-    // Generate and save OTP for login
-    const otp = generateOTP();
-    await saveOTP(user.id, otp);
+    // Generate, save and send OTP for login
+    const otpResult = await issueOTP(user);
     
-    // Send OTP via SMS
-    const smsSent = await sendOTPViaSMS(phoneNumber, otp);
+    if (otpResult.reason) {
+      return sendFailure(res, OTP_FAILURES, otpResult);
+    }
     
-    if (!smsSent) {
+    if (!otpResult.sent) {
       return res.status(500).json({
         success: false,
         message: 'Failed to send verification code'
@@ -175,7 +471,8 @@ const login = async (req, res) => {
     res.status(200).json({
       success: true,
       message: 'OTP sent successfully',
-      userId: user.id
+      userId: user.id,
+      pinRequired: isRegistrationLockActive(user)
     });
   } catch (error) {
     console.error('Login error:', error);
@@ -193,19 +490,18 @@ const login = async (req, res) => {
  */
 const updateProfile = async (req, res) => {
   try {
-    const { username, status, profilePic, twoFactorAuth, email } = req.body;
+    const { username, status, profilePic, email } = req.body || {};
     const userId = req.user.id;
     
-    // Update user profile
+    // Two-factor authentication is only switched through the 2FA endpoints,
+    // which ask for a code, so a stolen access token can't turn it off
     const updatedUser = await prisma.user.update({
       where: { id: userId },
       data: {
         username: username || undefined,
         status: status || undefined,
         profilePic: profilePic || undefined,
-        twoFactorAuth: twoFactorAuth !== undefined ? twoFactorAuth : undefined,
-        email: email || undefined,
-        twoFactorType: twoFactorAuth && email ? 'email' : (twoFactorAuth ? 'sms' : undefined)
+        email: email || undefined
       }
     });
     
@@ -241,12 +537,17 @@ const getProfile = async (req, res) => {
   try {
     const user = req.user;
     
+    const handle = await prisma.handle.findUnique({
+      where: { userId: user.id }
+    });
+    
     res.status(200).json({
       success: true,
       user: {
         id: user.id,
         phoneNumber: user.phoneNumber,
         username: user.username,
+        handle: handle ? handle.handle : null,
         profilePic: user.profilePic,
         status: user.status,
         lastSeen: user.lastSeen,
@@ -282,12 +583,15 @@ const searchUsers = async (req, res) => {
       });
     }
     
-    // Search users by phone number or username
+    const handleQuery = normalizeHandle(query);
+    
+    // Search users by phone number, username or handle
     const users = await prisma.user.findMany({
       where: {
         OR: [
           { phoneNumber: { contains: query } },
-          { username: { contains: query, mode: 'insensitive' } }
+          { username: { contains: query, mode: 'insensitive' } },
+          { handle: { is: { handle: { contains: handleQuery } } } }
         ]
       },
       select: {
@@ -298,14 +602,25 @@ const searchUsers = async (req, res) => {
         status: true,
         lastSeen: true,
         isOnline: true,
-        publicKey: true
+        publicKey: true,
+        privacy: true,
+        handle: { select: { handle: true } }
       }
     });
     
+    const visibility = await getVisibilityContext(req.user.id);
+    
+    const visibleUsers = users
+      .map(user => applyPrivacy({ ...user, handle: user.handle ? user.handle.handle : null }, req.user.id, visibility))
+      // A hidden phone number must not be discoverable by searching for it
+      .filter(user => user.phoneNumber !== null
+        || (user.username && user.username.toLowerCase().includes(query.toLowerCase()))
+        || (user.handle && user.handle.includes(handleQuery)));
+    
     res.status(200).json({
       success: true,
-      count: users.length,
-      data: users
+      count: visibleUsers.length,
+      data: visibleUsers
     });
   } catch (error) {
     console.error('Search users error:', error);
@@ -351,10 +666,180 @@ const setOnlineStatus = async (req, res) => {
   }
 };
 
+/**
+ * Exchange a refresh token for a new access and refresh token
+ * @route POST /api/auth/refresh
+ */
+const refreshToken = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a refresh token'
+      });
+    }
+    
+    const tokens = await rotateSession(refreshToken);
+    
+    if (!tokens) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired refresh token'
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      token: tokens.accessToken,
+      refreshToken: tokens.refreshToken
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while refreshing token',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Log out of the current session
+ * @route POST /api/auth/logout
+ */
+const logout = async (req, res) => {
+  try {
+    await revokeSessionById(req.session.id);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List the user's active sessions
+ * @route GET /api/auth/sessions
+ */
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await prisma.session.findMany({
+      where: {
+        userId: req.user.id,
+        revokedAt: null,
+        expiresAt: { gt: new Date() }
+      },
+      orderBy: {
+        lastUsedAt: 'desc'
+      }
+    });
+    
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map(session => ({
+        id: session.id,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        isCurrent: session.id === req.session.id
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching sessions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Revoke one of the user's sessions
+ * @route DELETE /api/auth/sessions/:sessionId
+ */
+const revokeSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    
+    const session = await prisma.session.findFirst({
+      where: {
+        id: sessionId,
+        userId: req.user.id,
+        revokedAt: null
+      }
+    });
+    
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+    
+    await revokeSessionById(session.id);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking session',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Revoke every session except the current one
+ * @route DELETE /api/auth/sessions
+ */
+const revokeOtherSessions = async (req, res) => {
+  try {
+    const result = await revokeAllSessions(req.user.id, req.session.id);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Other sessions revoked successfully',
+      count: result.count
+    });
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking sessions',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   register,
   verifyPhone,
+  verifySecondFactor,
+  resendSecondFactor,
   login,
+  refreshToken,
+  logout,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
   updateProfile,
   getProfile,
   searchUsers,
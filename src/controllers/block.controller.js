@@ -0,0 +1,150 @@
+// src/controllers/block.controller.js
+const { prisma } = require('../config/db');
+
+const OBJECT_ID_PATTERN = /^[a-f0-9]{24}$/;
+
+/**
+ * Block a user
+ * @route POST /api/auth/block/:userId
+ */
+const blockUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const blockerId = req.user.id;
+
+    if (!OBJECT_ID_PATTERN.test(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    if (userId === blockerId) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot block yourself'
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId }
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await prisma.block.upsert({
+      where: {
+        blockerId_blockedId: { blockerId, blockedId: userId }
+      },
+      update: {},
+      create: {
+        blockerId,
+        blockedId: userId
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'User blocked successfully'
+    });
+  } catch (error) {
+    console.error('Block user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while blocking user',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Unblock a user
+ * @route DELETE /api/auth/block/:userId
+ */
+const unblockUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!OBJECT_ID_PATTERN.test(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    const result = await prisma.block.deleteMany({
+      where: {
+        blockerId: req.user.id,
+        blockedId: userId
+      }
+    });
+
+    if (result.count === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'User is not blocked'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'User unblocked successfully'
+    });
+  } catch (error) {
+    console.error('Unblock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while unblocking user',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List the users the current user has blocked
+ * @route GET /api/auth/blocked
+ */
+const getBlockedUsers = async (req, res) => {
+  try {
+    const blocks = await prisma.block.findMany({
+      where: { blockerId: req.user.id },
+      include: {
+        blocked: {
+          select: {
+            id: true,
+            phoneNumber: true,
+            username: true
+          }
+        }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.status(200).json({
+      success: true,
+      count: blocks.length,
+      data: blocks.map(block => ({
+        ...block.blocked,
+        blockedAt: block.createdAt
+      }))
+    });
+  } catch (error) {
+    console.error('Get blocked users error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching blocked users',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  blockUser,
+  unblockUser,
+  getBlockedUsers
+};
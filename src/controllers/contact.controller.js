@@ -0,0 +1,212 @@
+// src/controllers/contact.controller.js
+const { prisma } = require('../config/db');
+const { applyPrivacy } = require('../utils/privacy.util');
+const { claimDiscoveryQuota, getVisibilityContext } = require('../services/contact.service');
+
+// Enumeration guard: hashes per request. New hashes also count towards the
+// daily discovery quota.
+const MAX_HASHES_PER_SYNC = parseInt(process.env.CONTACT_SYNC_MAX_HASHES || '5000');
+
+const HASH_PATTERN = /^[a-f0-9]{64}$/;
+
+// Profile fields returned for discovered contacts
+const CONTACT_USER_SELECT = {
+  id: true,
+  phoneNumber: true,
+  username: true,
+  profilePic: true,
+  status: true,
+  lastSeen: true,
+  isOnline: true,
+  publicKey: true,
+  privacy: true
+};
+
+/**
+ * Deduplicate and validate a list of phone number hashes
+ * @param {*} hashes - Value from the request body
+ * @returns {string[]|null} Lowercased hashes, or null if the list is invalid
+ */
+const normalizeHashes = (hashes) => {
+  if (hashes === undefined) {
+    return [];
+  }
+
+  if (!Array.isArray(hashes)) {
+    return null;
+  }
+
+  const normalized = [...new Set(hashes.map(hash => String(hash).toLowerCase()))];
+  return normalized.every(hash => HASH_PATTERN.test(hash)) ? normalized : null;
+};
+
+/**
+ * Serialize contacts for their owner
+ * @param {Object[]} contacts - Contacts including `contact`
+ * @param {string} viewerId - Owner of the contacts
+ * @returns {Object[]} Contacts with privacy settings applied
+ */
+const serializeContacts = async (contacts, viewerId) => {
+  const visibility = await getVisibilityContext(viewerId);
+
+  return contacts.map(contact => ({
+    phoneHash: contact.phoneHash,
+    user: applyPrivacy(contact.contact, viewerId, visibility)
+  }));
+};
+
+/**
+ * Sync hashed address book entries and return the registered users among them.
+ * A "full" sync replaces the stored contacts with `hashes`, a "delta" sync
+ * applies `add` and `remove`.
+ * @route POST /api/auth/contacts/sync
+ */
+const syncContacts = async (req, res) => {
+  try {
+    const body = req.body || {};
+    const { mode = 'delta' } = body;
+    const user = req.user;
+
+    if (!['full', 'delta'].includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sync mode must be either full or delta'
+      });
+    }
+
+    const hashes = normalizeHashes(body.hashes);
+    const add = normalizeHashes(body.add);
+    const remove = normalizeHashes(body.remove);
+
+    if (!hashes || !add || !remove) {
+      return res.status(400).json({
+        success: false,
+        message: 'Contacts must be lists of SHA-256 hex phone number hashes'
+      });
+    }
+
+    const uploaded = mode === 'full' ? hashes : add;
+
+    if (uploaded.length + remove.length > MAX_HASHES_PER_SYNC) {
+      return res.status(413).json({
+        success: false,
+        message: `A sync can contain at most ${MAX_HASHES_PER_SYNC} hashes`
+      });
+    }
+
+    const existingContacts = await prisma.contact.findMany({
+      where: { ownerId: user.id },
+      select: { phoneHash: true }
+    });
+    const existingHashes = new Set(existingContacts.map(contact => contact.phoneHash));
+
+    // Only hashes that aren't known contacts yet count towards the quota
+    const lookupHashes = uploaded.filter(hash => !existingHashes.has(hash));
+
+    const quota = await claimDiscoveryQuota(user.id, lookupHashes.length);
+
+    if (!quota.allowed) {
+      return res.status(429).json({
+        success: false,
+        message: 'Contact discovery limit reached, please try again later',
+        retryAfter: quota.retryAfter
+      });
+    }
+
+    // Remove contacts that left the address book
+    const removed = await prisma.contact.deleteMany({
+      where: {
+        ownerId: user.id,
+        phoneHash: mode === 'full' ? { notIn: hashes } : { in: remove }
+      }
+    });
+
+    // Store the registered users among the new hashes
+    const matchedUsers = lookupHashes.length > 0
+      ? await prisma.user.findMany({
+          where: {
+            phoneHash: { in: lookupHashes },
+            id: { not: user.id }
+          },
+          select: { id: true, phoneHash: true }
+        })
+      : [];
+
+    for (const matchedUser of matchedUsers) {
+      try {
+        await prisma.contact.create({
+          data: {
+            ownerId: user.id,
+            contactId: matchedUser.id,
+            phoneHash: matchedUser.phoneHash
+          }
+        });
+      } catch (error) {
+        // A parallel sync stored this contact already
+        if (error.code !== 'P2002') {
+          throw error;
+        }
+      }
+    }
+
+    // Full syncs return the whole contact list, deltas only what was added
+    const contacts = await prisma.contact.findMany({
+      where: {
+        ownerId: user.id,
+        ...(mode === 'delta' ? { phoneHash: { in: matchedUsers.map(matchedUser => matchedUser.phoneHash) } } : {})
+      },
+      include: {
+        contact: { select: CONTACT_USER_SELECT }
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Contacts synced successfully',
+      count: contacts.length,
+      removed: removed.count,
+      data: await serializeContacts(contacts, user.id)
+    });
+  } catch (error) {
+    console.error('Sync contacts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while syncing contacts',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List the current user's discovered contacts
+ * @route GET /api/auth/contacts
+ */
+const getContacts = async (req, res) => {
+  try {
+    const contacts = await prisma.contact.findMany({
+      where: { ownerId: req.user.id },
+      include: {
+        contact: { select: CONTACT_USER_SELECT }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.status(200).json({
+      success: true,
+      count: contacts.length,
+      data: await serializeContacts(contacts, req.user.id)
+    });
+  } catch (error) {
+    console.error('Get contacts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching contacts',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  syncContacts,
+  getContacts
+};
@@ -0,0 +1,175 @@
+// src/controllers/device.controller.js
+const { prisma } = require('../config/db');
+const { publishKeyChange } = require('../services/key.service');
+
+/**
+ * List the current user's devices
+ * @route GET /api/auth/devices
+ */
+const getDevices = async (req, res) => {
+  try {
+    const devices = await prisma.device.findMany({
+      where: { userId: req.user.id },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.status(200).json({
+      success: true,
+      count: devices.length,
+      data: devices.map(device => ({
+        id: device.id,
+        name: device.name,
+        platform: device.platform,
+        publicKey: device.publicKey,
+        lastActiveAt: device.lastActiveAt,
+        createdAt: device.createdAt,
+        isCurrent: req.device ? device.id === req.device.id : false
+      }))
+    });
+  } catch (error) {
+    console.error('Get devices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching devices',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List another user's device public keys, used to wrap message keys per device
+ * @route GET /api/auth/devices/user/:userId
+ */
+const getUserDeviceKeys = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const devices = await prisma.device.findMany({
+      where: { userId },
+      select: {
+        id: true,
+        publicKey: true
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.status(200).json({
+      success: true,
+      count: devices.length,
+      data: devices
+    });
+  } catch (error) {
+    console.error('Get device keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching device keys',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Rename one of the current user's devices
+ * @route PUT /api/auth/devices/:deviceId
+ */
+const renameDevice = async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    const { name } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a device name'
+      });
+    }
+
+    const device = await prisma.device.findFirst({
+      where: {
+        id: deviceId,
+        userId: req.user.id
+      }
+    });
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    const updatedDevice = await prisma.device.update({
+      where: { id: device.id },
+      data: { name }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Device renamed successfully',
+      data: {
+        id: updatedDevice.id,
+        name: updatedDevice.name,
+        platform: updatedDevice.platform
+      }
+    });
+  } catch (error) {
+    console.error('Rename device error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while renaming device',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Unlink a device. Its sessions and message key envelopes are removed with it.
+ * @route DELETE /api/auth/devices/:deviceId
+ */
+const unlinkDevice = async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+
+    const device = await prisma.device.findFirst({
+      where: {
+        id: deviceId,
+        userId: req.user.id
+      }
+    });
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    await prisma.device.delete({
+      where: { id: device.id }
+    });
+
+    await publishKeyChange(req.user.id, {
+      reason: 'device_removed',
+      deviceId: device.id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Device unlinked successfully'
+    });
+  } catch (error) {
+    console.error('Unlink device error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while unlinking device',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getDevices,
+  getUserDeviceKeys,
+  renameDevice,
+  unlinkDevice
+};
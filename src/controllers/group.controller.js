@@ -1,6 +1,63 @@
 
-const crypto = require('crypto');
 const { prisma } = require('../config/db');
+const { applyPrivacy } = require('../utils/privacy.util');
+const { claimDiscoveryQuota, getVisibilityContext } = require('../services/contact.service');
+const { sendFailure } = require('../utils/failure.util');
+const { publishEvent } = require('../services/notification.service');
+const { GROUP_ROLES, getRoleRank, hasGroupPermission, outranks } = require('../utils/groupRole.util');
+const {
+    getMemberRole,
+    getMemberRoles,
+    setMemberRole,
+    addGroupMember,
+    removeGroupMember,
+    transferGroupOwnership,
+    GROUP_CATEGORIES,
+    JOIN_REQUEST_FAILURES,
+    normalizeTags,
+    validateInviteOptions,
+    createGroupInvite,
+    getInviteStatus,
+    inviteRequiresApproval,
+    useInvite,
+    createJoinRequest,
+    checkGroupBan,
+    canAddToGroup,
+    inviteByPhoneNumber
+} = require('../services/group.service');
+
+// Largest page the group directory returns
+const MAX_DIRECTORY_PAGE_SIZE = 50;
+
+// Invites an admin can create in one request
+const MAX_INVITES_PER_REQUEST = 10;
+
+// People an admin can add or invite in one request
+const MAX_MEMBERS_PER_ADD = 20;
+
+// E.164: a plus sign, then up to 15 digits without a leading zero
+const PHONE_NUMBER_PATTERN = /^\+[1-9]\d{6,14}$/;
+
+// Longest a member can be muted for, in seconds
+const MAX_MUTE_SECONDS = 365 * 24 * 60 * 60;
+
+/**
+ * Check the directory category and tags submitted for a group
+ * @param {string} [category] - Category, if provided
+ * @param {string[]} [tags] - Tags, if provided
+ * @returns {string|null} Error message, or null if they are valid
+ */
+const validateDirectoryListing = (category, tags) => {
+    if (category && !GROUP_CATEGORIES.includes(category)) {
+        return `Category must be one of: ${GROUP_CATEGORIES.join(', ')}`;
+    }
+
+    if (tags !== undefined && !normalizeTags(tags)) {
+        return 'Tags must be a list of up to 10 words of at most 30 characters';
+    }
+
+    return null;
+};
 
 /**
  * Create a new group
@@ -14,7 +71,11 @@ const createGroup = async (req, res) => {
             profilePic,
             isPrivate,
             allowAnonymous,
-            messageExpiry
+            announcementOnly,
+            messageExpiry,
+            joinQuestion,
+            category,
+            tags
         } = req.body;
 
         const adminId = req.user.id;
@@ -26,39 +87,43 @@ const createGroup = async (req, res) => {
             });
         }
 
+        const listingError = validateDirectoryListing(category, tags);
+        if (listingError) {
+            return res.status(400).json({
+                success: false,
+                message: listingError
+            });
+        }
+
         // Create new group
         const group = await prisma.group.create({
             data: {
                 name,
                 description: description || null,
                 profilePic: profilePic || null,
-                isPrivate: isPrivate !== undefined ? isPrivate : true,
+                isPrivate: isPrivate !== undefined ? isPrivate : false,
                 allowAnonymous: allowAnonymous !== undefined ? allowAnonymous : false,
+                announcementOnly: announcementOnly !== undefined ? announcementOnly : false,
                 messageExpiry: messageExpiry || null,
+                joinQuestion: joinQuestion || null,
+                category: category || null,
+                tags: tags ? normalizeTags(tags) : [],
                 adminId,
                 memberIds: [adminId]
             }
         });
 
-        // Generate invite code
-        const inviteCode = crypto.randomBytes(6).toString('hex');
-        const expiryDate = new Date();
-        expiryDate.setDate(expiryDate.getDate() + 7); // 7 days expiry
+        await setMemberRole(group.id, adminId, 'owner');
 
-        await prisma.groupInvite.create({
-            data: {
-                groupId: group.id,
-                inviteCode,
-                expiresAt: expiryDate
-            }
-        });
+        // Generate an invite code with the default lifetime
+        const invite = await createGroupInvite(group.id, adminId);
 
         res.status(201).json({
             success: true,
             message: 'Group created successfully',
             data: {
                 ...group,
-                inviteCode
+                inviteCode: invite.inviteCode
             }
         });
     } catch (error) {
@@ -87,7 +152,8 @@ const getGroupDetails = async (req, res) => {
                     select: {
                         id: true,
                         username: true,
-                        profilePic: true
+                        profilePic: true,
+                        privacy: true
                     }
                 },
                 members: {
@@ -97,14 +163,17 @@ const getGroupDetails = async (req, res) => {
                         phoneNumber: true,
                         profilePic: true,
                         isOnline: true,
-                        lastSeen: true
+                        lastSeen: true,
+                        privacy: true
                     }
                 },
                 memberNicknames: true,
                 groupInvites: {
                     where: {
-                        expiresAt: { gt: new Date() }
-                    }
+                        expiresAt: { gt: new Date() },
+                        revokedAt: null
+                    },
+                    orderBy: { createdAt: 'desc' }
                 }
             }
         });
@@ -125,8 +194,17 @@ const getGroupDetails = async (req, res) => {
             });
         }
 
-        // Map nicknames to members
-        const membersWithNicknames = group.members.map(member => {
+        // Hide whatever members' privacy settings keep from this user
+        const visibility = await getVisibilityContext(userId);
+        const roles = await getMemberRoles(group);
+        const userRole = roles.get(userId);
+
+        // Map nicknames and roles to members
+        const membersWithNicknames = group.members.map(privateMember => {
+            const member = {
+                ...applyPrivacy(privateMember, userId, visibility),
+                role: roles.get(privateMember.id)
+            };
             const nickname = group.memberNicknames.find(
                 n => n.userId === member.id && n.groupId === groupId
             );
@@ -142,9 +220,9 @@ const getGroupDetails = async (req, res) => {
             return member;
         });
 
-        // For non-admin members, filter out invisible members
+        // Members who can't manage nicknames don't see invisible members
         let visibleMembers = membersWithNicknames;
-        if (userId !== group.adminId) {
+        if (!hasGroupPermission(userRole, 'manage_nicknames')) {
             visibleMembers = membersWithNicknames.filter(member => {
                 // Admin is always visible
                 if (member.id === group.adminId) return true;
@@ -157,10 +235,17 @@ const getGroupDetails = async (req, res) => {
             });
         }
 
-        // Get active invite code if user is admin
+        const mute = await prisma.groupMute.findUnique({
+            where: {
+                groupId_userId: { groupId, userId }
+            }
+        });
+
+        // Get active invite code if user can create invites
         let activeInvite = null;
-        if (userId === group.adminId && group.groupInvites.length > 0) {
-            activeInvite = group.groupInvites[0].inviteCode;
+        if (hasGroupPermission(userRole, 'create_invite')) {
+            const invite = group.groupInvites.find(groupInvite => getInviteStatus(groupInvite) === 'active');
+            activeInvite = invite ? invite.inviteCode : null;
         }
 
         res.status(200).json({
@@ -172,9 +257,15 @@ const getGroupDetails = async (req, res) => {
                 profilePic: group.profilePic,
                 isPrivate: group.isPrivate,
                 allowAnonymous: group.allowAnonymous,
+                announcementOnly: group.announcementOnly,
                 messageExpiry: group.messageExpiry,
-                admin: group.admin,
+                joinQuestion: group.joinQuestion,
+                category: group.category,
+                tags: group.tags,
+                admin: applyPrivacy(group.admin, userId, visibility),
                 members: visibleMembers,
+                role: userRole,
+                mutedUntil: mute && mute.mutedUntil > new Date() ? mute.mutedUntil : null,
                 createdAt: group.createdAt,
                 updatedAt: group.updatedAt,
                 inviteCode: activeInvite
@@ -219,6 +310,20 @@ const getUserGroups = async (req, res) => {
             }
         });
 
+        const memberships = await prisma.groupMembership.findMany({
+            where: { userId }
+        });
+        const storedRoles = new Map(memberships.map(membership => [membership.groupId, membership.role]));
+
+        const getRole = (group) => {
+            if (group.adminId === userId) {
+                return 'owner';
+            }
+
+            const role = storedRoles.get(group.id);
+            return role && role !== 'owner' ? role : 'member';
+        };
+
         res.status(200).json({
             success: true,
             count: groups.length,
@@ -229,7 +334,10 @@ const getUserGroups = async (req, res) => {
                 profilePic: group.profilePic,
                 isPrivate: group.isPrivate,
                 allowAnonymous: group.allowAnonymous,
-                isAdmin: group.adminId === userId,
+                category: group.category,
+                tags: group.tags,
+                isAdmin: hasGroupPermission(getRole(group), 'update_group'),
+                role: getRole(group),
                 memberCount: group._count.members,
                 admin: group.admin,
                 createdAt: group.createdAt
@@ -245,13 +353,145 @@ const getUserGroups = async (req, res) => {
     }
 };
 
+/**
+ * Browse public groups
+ * @route GET /api/groups/discover
+ */
+const discoverGroups = async (req, res) => {
+    try {
+        const { q, category, tag } = req.query;
+        const userId = req.user.id;
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), MAX_DIRECTORY_PAGE_SIZE);
+
+        if (category && !GROUP_CATEGORIES.includes(category)) {
+            return res.status(400).json({
+                success: false,
+                message: `Category must be one of: ${GROUP_CATEGORIES.join(', ')}`
+            });
+        }
+
+        const normalizedTag = typeof tag === 'string' ? (normalizeTags([tag]) || [])[0] : undefined;
+
+        const where = {
+            isPrivate: false,
+            category: category || undefined,
+            tags: normalizedTag ? { has: normalizedTag } : undefined,
+            OR: q
+                ? [
+                    { name: { contains: q, mode: 'insensitive' } },
+                    { description: { contains: q, mode: 'insensitive' } }
+                ]
+                : undefined
+        };
+
+        const [total, groups] = await Promise.all([
+            prisma.group.count({ where }),
+            prisma.group.findMany({
+                where,
+                include: {
+                    _count: {
+                        select: {
+                            members: true
+                        }
+                    }
+                },
+                orderBy: { createdAt: 'desc' },
+                skip: (page - 1) * limit,
+                take: limit
+            })
+        ]);
+
+        res.status(200).json({
+            success: true,
+            count: groups.length,
+            total,
+            page,
+            pages: Math.ceil(total / limit),
+            categories: GROUP_CATEGORIES,
+            data: groups.map(group => ({
+                id: group.id,
+                name: group.name,
+                description: group.description,
+                profilePic: group.profilePic,
+                category: group.category,
+                tags: group.tags,
+                memberCount: group._count.members,
+                isMember: group.memberIds.includes(userId),
+                createdAt: group.createdAt
+            }))
+        });
+    } catch (error) {
+        console.error('Discover groups error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error retrieving public groups',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Join a public group directly, without an invite code
+ * @route POST /api/groups/:groupId/join
+ */
+const joinPublicGroup = async (req, res) => {
+    try {
+        const { groupId } = req.params;
+        const userId = req.user.id;
+
+        const group = await prisma.group.findUnique({
+            where: { id: groupId }
+        });
+
+        // Private groups are reported as missing so they can't be probed by ID
+        if (!group || group.isPrivate) {
+            return res.status(404).json({
+                success: false,
+                message: 'Group not found'
+            });
+        }
+
+        if (group.memberIds.includes(userId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'You are already a member of this group'
+            });
+        }
+
+        const ban = await checkGroupBan(group.id, userId);
+
+        if (ban) {
+            return sendFailure(res, JOIN_REQUEST_FAILURES, ban);
+        }
+
+        await addGroupMember(group, userId);
+
+        res.status(200).json({
+            success: true,
+            message: 'Successfully joined the group',
+            data: {
+                groupId: group.id,
+                groupName: group.name
+            }
+        });
+    } catch (error) {
+        console.error('Join public group error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error joining group',
+            error: error.message
+        });
+    }
+};
+
 /**
  * Join group via invite code
  * @route POST /api/groups/join
  */
 const joinGroup = async (req, res) => {
     try {
-        const { inviteCode } = req.body;
+        const { inviteCode, answer } = req.body;
         const userId = req.user.id;
 
         if (!inviteCode) {
@@ -269,7 +509,7 @@ const joinGroup = async (req, res) => {
             }
         });
 
-        if (!groupInvite || groupInvite.expiresAt < new Date()) {
+        if (!groupInvite || getInviteStatus(groupInvite) !== 'active') {
             return res.status(400).json({
                 success: false,
                 message: 'Invalid or expired invite code'
@@ -286,15 +526,50 @@ const joinGroup = async (req, res) => {
             });
         }
 
-        // Add user to group
-        await prisma.group.update({
-            where: { id: group.id },
-            data: {
-                memberIds: {
-                    push: userId
+        // Banned users can't rejoin, whatever invite they hold
+        const ban = await checkGroupBan(group.id, userId);
+
+        if (ban) {
+            return sendFailure(res, JOIN_REQUEST_FAILURES, ban);
+        }
+
+        // Private groups, or invites that ask for it, queue the user for an admin's approval instead
+        if (inviteRequiresApproval(groupInvite, group)) {
+            const result = await createJoinRequest(group, userId, { invite: groupInvite, answer });
+
+            if (!result.requested) {
+                // The question is only shown to people holding a valid invite
+                if (result.reason === 'answer_required') {
+                    return res.status(400).json({
+                        success: false,
+                        code: JOIN_REQUEST_FAILURES.answer_required.code,
+                        message: JOIN_REQUEST_FAILURES.answer_required.message,
+                        joinQuestion: group.joinQuestion
+                    });
                 }
+
+                return sendFailure(res, JOIN_REQUEST_FAILURES, result);
             }
-        });
+
+            return res.status(202).json({
+                success: true,
+                message: 'Join request sent, waiting for an admin to approve it',
+                data: {
+                    requestId: result.request.id,
+                    groupId: group.id,
+                    groupName: group.name,
+                    status: result.request.status
+                }
+            });
+        }
+
+        // The invite may have hit its use cap since it was looked up
+        if (!(await useInvite(groupInvite))) {
+            return sendFailure(res, JOIN_REQUEST_FAILURES, { reason: 'invite_unavailable' });
+        }
+
+        // Add user to group, remembering the invite they used
+        await addGroupMember(group, userId, { inviteId: groupInvite.id });
 
         res.status(200).json({
             success: true,
@@ -342,31 +617,16 @@ const leaveGroup = async (req, res) => {
             });
         }
 
-        // Admin cannot leave the group, they must delete it or transfer ownership
+        // The owner cannot leave the group, they must delete it or transfer ownership
         if (group.adminId === userId) {
             return res.status(400).json({
                 success: false,
-                message: 'Group admin cannot leave. Transfer ownership or delete the group'
+                message: 'Group owner cannot leave. Transfer ownership or delete the group'
             });
         }
 
-        // Remove user from group
-        await prisma.group.update({
-            where: { id: groupId },
-            data: {
-                memberIds: {
-                    set: group.memberIds.filter(id => id !== userId)
-                }
-            }
-        });
-
-        // Remove user's nickname if they have one
-        await prisma.memberNickname.deleteMany({
-            where: {
-                userId,
-                groupId
-            }
-        });
+        // Remove user from group, along with their nickname
+        await removeGroupMember(group, userId, 'leave');
 
         res.status(200).json({
             success: true,
@@ -396,7 +656,11 @@ const updateGroup = async (req, res) => {
             profilePic,
             isPrivate,
             allowAnonymous,
-            messageExpiry
+            announcementOnly,
+            messageExpiry,
+            joinQuestion,
+            category,
+            tags
         } = req.body;
 
         const group = await prisma.group.findUnique({
@@ -410,11 +674,19 @@ const updateGroup = async (req, res) => {
             });
         }
 
-        // Only admin can update group settings
-        if (group.adminId !== userId) {
+        // Only admins can update group settings
+        if (!hasGroupPermission(await getMemberRole(group, userId), 'update_group')) {
             return res.status(403).json({
                 success: false,
-                message: 'Only the group admin can update group settings'
+                message: 'Only group admins can update group settings'
+            });
+        }
+
+        const listingError = validateDirectoryListing(category, tags);
+        if (listingError) {
+            return res.status(400).json({
+                success: false,
+                message: listingError
             });
         }
 
@@ -427,7 +699,11 @@ const updateGroup = async (req, res) => {
                 profilePic: profilePic !== undefined ? profilePic : undefined,
                 isPrivate: isPrivate !== undefined ? isPrivate : undefined,
                 allowAnonymous: allowAnonymous !== undefined ? allowAnonymous : undefined,
-                messageExpiry: messageExpiry !== undefined ? messageExpiry : undefined
+                announcementOnly: announcementOnly !== undefined ? announcementOnly : undefined,
+                messageExpiry: messageExpiry !== undefined ? messageExpiry : undefined,
+                joinQuestion: joinQuestion !== undefined ? joinQuestion || null : undefined,
+                category: category !== undefined ? category || null : undefined,
+                tags: tags !== undefined ? normalizeTags(tags) : undefined
             }
         });
 
@@ -478,19 +754,23 @@ const setMemberNickname = async (req, res) => {
             });
         }
 
-        // Only admin can set nickname for other users or toggle visibility
-        if (targetUserId !== currentUserId && group.adminId !== currentUserId) {
+        const currentRole = await getMemberRole(group, currentUserId);
+        const canManageNicknames = hasGroupPermission(currentRole, 'manage_nicknames');
+
+        // Moderators and above can set nicknames for members ranked below them
+        if (targetUserId !== currentUserId
+            && (!canManageNicknames || !outranks(currentRole, await getMemberRole(group, targetUserId)))) {
             return res.status(403).json({
                 success: false,
-                message: 'Only the group admin can set nicknames for other users'
+                message: 'You cannot set nicknames for this member'
             });
         }
 
-        // Only admin can toggle visibility
-        if (isVisible !== undefined && group.adminId !== currentUserId) {
+        // Only moderators and above can toggle visibility
+        if (isVisible !== undefined && !canManageNicknames) {
             return res.status(403).json({
                 success: false,
-                message: 'Only the group admin can toggle member visibility'
+                message: 'Only group moderators and admins can toggle member visibility'
             });
         }
 
@@ -543,13 +823,25 @@ const setMemberNickname = async (req, res) => {
 };
 
 /**
- * Generate new group invite
+ * Create one or more invites. Existing invites stay valid.
+ * Body is either a single invite's options or { invites: [options, ...] },
+ * where options are { name, expiresIn (seconds), maxUses, requiresApproval }.
  * @route POST /api/groups/:groupId/invite
  */
 const generateGroupInvite = async (req, res) => {
     try {
         const { groupId } = req.params;
         const userId = req.user.id;
+        const body = req.body || {};
+        const isBatch = Array.isArray(body.invites);
+        const inviteOptions = (isBatch ? body.invites : [body]).map(options => options || {});
+
+        if (inviteOptions.length === 0 || inviteOptions.length > MAX_INVITES_PER_REQUEST) {
+            return res.status(400).json({
+                success: false,
+                message: `Please create between 1 and ${MAX_INVITES_PER_REQUEST} invites at once`
+            });
+        }
 
         const group = await prisma.group.findUnique({
             where: { id: groupId }
@@ -562,41 +854,55 @@ const generateGroupInvite = async (req, res) => {
             });
         }
 
-        // Only admin can generate invites
-        if (group.adminId !== userId) {
+        const role = await getMemberRole(group, userId);
+
+        // Only moderators and above can generate invites
+        if (!hasGroupPermission(role, 'create_invite')) {
             return res.status(403).json({
                 success: false,
-                message: 'Only the group admin can generate invites'
+                message: 'Only group moderators and admins can generate invites'
             });
         }
 
-        // Expire all existing invites
-        await prisma.groupInvite.updateMany({
-            where: { groupId },
-            data: { expiresAt: new Date() }
-        });
-
-        // Generate new invite code
-        const inviteCode = crypto.randomBytes(6).toString('hex');
-        const expiryDate = new Date();
-        expiryDate.setDate(expiryDate.getDate() + 7); // 7 days expiry
+        for (const options of inviteOptions) {
+            const optionsError = validateInviteOptions(options);
 
-        // Create new invite
-        const invite = await prisma.groupInvite.create({
-            data: {
-                groupId,
-                inviteCode,
-                expiresAt: expiryDate
+            if (optionsError) {
+                return res.status(400).json({
+                    success: false,
+                    message: optionsError
+                });
             }
-        });
+        }
+
+        // Skipping the approval queue is a review decision, so it needs the
+        // same permission as approving requests
+        if (inviteOptions.some(options => options.requiresApproval === false)
+            && !hasGroupPermission(role, 'review_join_requests')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only group admins can create invites that skip approval'
+            });
+        }
+
+        const invites = [];
+        for (const options of inviteOptions) {
+            invites.push(await createGroupInvite(groupId, userId, options));
+        }
+
+        const data = invites.map(invite => ({
+            id: invite.id,
+            name: invite.name,
+            inviteCode: invite.inviteCode,
+            expiresAt: invite.expiresAt,
+            maxUses: invite.maxUses,
+            requiresApproval: inviteRequiresApproval(invite, group)
+        }));
 
         res.status(200).json({
             success: true,
-            message: 'New invite code generated',
-            data: {
-                inviteCode: invite.inviteCode,
-                expiresAt: invite.expiresAt
-            }
+            message: invites.length > 1 ? 'New invite codes generated' : 'New invite code generated',
+            data: isBatch ? data : data[0]
         });
     } catch (error) {
         console.error('Generate invite error:', error);
@@ -609,12 +915,12 @@ const generateGroupInvite = async (req, res) => {
 };
 
 /**
- * Remove member from group
- * @route DELETE /api/groups/:groupId/members/:memberId
+ * List a group's invites with their usage
+ * @route GET /api/groups/:groupId/invites
  */
-const removeMember = async (req, res) => {
+const getGroupInvites = async (req, res) => {
     try {
-        const { groupId, memberId } = req.params;
+        const { groupId } = req.params;
         const userId = req.user.id;
 
         const group = await prisma.group.findUnique({
@@ -628,79 +934,70 @@ const removeMember = async (req, res) => {
             });
         }
 
-        // Only admin can remove members
-        if (group.adminId !== userId) {
+        if (!hasGroupPermission(await getMemberRole(group, userId), 'create_invite')) {
             return res.status(403).json({
                 success: false,
-                message: 'Only the group admin can remove members'
-            });
-        }
-
-        // Admin cannot remove themselves
-        if (memberId === group.adminId) {
-            return res.status(400).json({
-                success: false,
-                message: 'Admin cannot be removed from the group'
+                message: 'Only group moderators and admins can view invites'
             });
         }
 
-        // Check if user is a member
-        if (!group.memberIds.includes(memberId)) {
-            return res.status(400).json({
-                success: false,
-                message: 'User is not a member of this group'
-            });
+        const [invites, memberships] = await Promise.all([
+            prisma.groupInvite.findMany({
+                where: { groupId },
+                orderBy: { createdAt: 'desc' }
+            }),
+            prisma.groupMembership.findMany({
+                where: {
+                    groupId,
+                    inviteId: { not: null }
+                },
+                select: { inviteId: true }
+            })
+        ]);
+
+        // Members still in the group per invite, as opposed to every use
+        const currentMembers = new Map();
+        for (const membership of memberships) {
+            currentMembers.set(membership.inviteId, (currentMembers.get(membership.inviteId) || 0) + 1);
         }
 
-        // Remove member
-        await prisma.group.update({
-            where: { id: groupId },
-            data: {
-                memberIds: {
-                    set: group.memberIds.filter(id => id !== memberId)
-                }
-            }
-        });
-
-        // Remove member's nickname
-        await prisma.memberNickname.deleteMany({
-            where: {
-                userId: memberId,
-                groupId
-            }
-        });
-
         res.status(200).json({
             success: true,
-            message: 'Member removed successfully'
+            count: invites.length,
+            data: invites.map(invite => ({
+                id: invite.id,
+                name: invite.name,
+                inviteCode: invite.inviteCode,
+                createdBy: invite.createdBy,
+                createdAt: invite.createdAt,
+                expiresAt: invite.expiresAt,
+                revokedAt: invite.revokedAt,
+                status: getInviteStatus(invite),
+                requiresApproval: inviteRequiresApproval(invite, group),
+                maxUses: invite.maxUses,
+                useCount: invite.useCount,
+                currentMembers: currentMembers.get(invite.id) || 0
+            }))
         });
     } catch (error) {
-        console.error('Remove member error:', error);
+        console.error('Get invites error:', error);
         res.status(500).json({
             success: false,
-            message: 'Server error removing member',
+            message: 'Server error retrieving invites',
             error: error.message
         });
     }
 };
 
 /**
- * Transfer group ownership
- * @route POST /api/groups/:groupId/transfer
+ * Revoke an invite so it can't be used any more
+ * @route DELETE /api/groups/:groupId/invites/:inviteId
  */
-const transferOwnership = async (req, res) => {
+const revokeGroupInvite = async (req, res) => {
     try {
-        const { groupId } = req.params;
-        const { newAdminId } = req.body;
+        const { groupId, inviteId } = req.params;
         const userId = req.user.id;
 
-        if (!newAdminId) {
-            return res.status(400).json({
-                success: false,
-                message: 'Please provide a new admin ID'
-            });
-        }
-
         const group = await prisma.group.findUnique({
             where: { id: groupId }
         });
@@ -712,53 +1009,79 @@ const transferOwnership = async (req, res) => {
             });
         }
 
-        // Only current admin can transfer ownership
-        if (group.adminId !== userId) {
+        if (!hasGroupPermission(await getMemberRole(group, userId), 'create_invite')) {
             return res.status(403).json({
                 success: false,
-                message: 'Only the group admin can transfer ownership'
+                message: 'Only group moderators and admins can revoke invites'
             });
         }
 
-        // Check if new admin is a member
-        if (!group.memberIds.includes(newAdminId)) {
-            return res.status(400).json({
+        const result = await prisma.groupInvite.updateMany({
+            where: {
+                id: inviteId,
+                groupId,
+                revokedAt: null
+            },
+            data: { revokedAt: new Date() }
+        });
+
+        if (result.count === 0) {
+            return res.status(404).json({
                 success: false,
-                message: 'New admin must be a member of the group'
+                message: 'Invite not found'
             });
         }
 
-        // Transfer ownership
-        await prisma.group.update({
-            where: { id: groupId },
-            data: {
-                adminId: newAdminId
-            }
-        });
-
         res.status(200).json({
             success: true,
-            message: 'Group ownership transferred successfully'
+            message: 'Invite revoked successfully'
         });
     } catch (error) {
-        console.error('Transfer ownership error:', error);
+        console.error('Revoke invite error:', error);
         res.status(500).json({
             success: false,
-            message: 'Server error transferring ownership',
+            message: 'Server error revoking invite',
             error: error.message
         });
     }
 };
 
 /**
- * Delete group
- * @route DELETE /api/groups/:groupId
+ * Add people to a group directly, by user ID or phone number. Each person's
+ * "groupAdd" privacy setting decides whether they can be added. Numbers
+ * without an account get an SMS invitation and join once they register.
+ * @route POST /api/groups/:groupId/members
  */
-const deleteGroup = async (req, res) => {
+const addMembers = async (req, res) => {
     try {
         const { groupId } = req.params;
+        const { userIds = [], phoneNumbers = [] } = req.body || {};
         const userId = req.user.id;
 
+        if (!Array.isArray(userIds) || !Array.isArray(phoneNumbers)
+            || ![...userIds, ...phoneNumbers].every(value => typeof value === 'string')) {
+            return res.status(400).json({
+                success: false,
+                message: 'User IDs and phone numbers must be lists of strings'
+            });
+        }
+
+        if (!phoneNumbers.every(phoneNumber => PHONE_NUMBER_PATTERN.test(phoneNumber))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Phone numbers must be in E.164 format, e.g. +14155550123'
+            });
+        }
+
+        const total = userIds.length + phoneNumbers.length;
+
+        if (total === 0 || total > MAX_MEMBERS_PER_ADD) {
+            return res.status(400).json({
+                success: false,
+                message: `Please add between 1 and ${MAX_MEMBERS_PER_ADD} people at once`
+            });
+        }
+
         const group = await prisma.group.findUnique({
             where: { id: groupId }
         });
@@ -770,17 +1093,288 @@ const deleteGroup = async (req, res) => {
             });
         }
 
-        // Only admin can delete group
-        if (group.adminId !== userId) {
+        // Only admins can add members directly
+        if (!hasGroupPermission(await getMemberRole(group, userId), 'add_member')) {
             return res.status(403).json({
                 success: false,
-                message: 'Only the group admin can delete the group'
+                message: 'Only group admins can add members'
             });
         }
 
-        // Delete group
-        await prisma.group.delete({
-            where: { id: groupId }
+        // The response tells registered numbers apart from unregistered ones,
+        // so numbers count towards the same daily quota as contact discovery
+        const quota = await claimDiscoveryQuota(userId, new Set(phoneNumbers).size);
+
+        if (!quota.allowed) {
+            return res.status(429).json({
+                success: false,
+                message: 'Contact discovery limit reached, please try again later',
+                retryAfter: quota.retryAfter
+            });
+        }
+
+        const users = await prisma.user.findMany({
+            where: {
+                OR: [
+                    { id: { in: userIds.filter(id => /^[a-f0-9]{24}$/.test(id)) } },
+                    { phoneNumber: { in: phoneNumbers } }
+                ]
+            },
+            select: {
+                id: true,
+                phoneNumber: true,
+                privacy: true
+            }
+        });
+
+        const added = [];
+        const invited = [];
+        const failed = [];
+        const memberIds = new Set(group.memberIds);
+
+        const addUser = async (user, requested) => {
+            if (memberIds.has(user.id)) {
+                return failed.push({ ...requested, reason: 'already_member' });
+            }
+
+            if (await checkGroupBan(group.id, user.id)) {
+                return failed.push({ ...requested, reason: 'banned' });
+            }
+
+            if (!(await canAddToGroup(user, userId))) {
+                return failed.push({ ...requested, reason: 'not_allowed' });
+            }
+
+            await addGroupMember(group, user.id);
+            memberIds.add(user.id);
+            added.push(user.id);
+        };
+
+        for (const id of new Set(userIds)) {
+            const user = users.find(candidate => candidate.id === id);
+
+            if (!user) {
+                failed.push({ userId: id, reason: 'not_found' });
+                continue;
+            }
+
+            await addUser(user, { userId: id });
+        }
+
+        for (const phoneNumber of new Set(phoneNumbers)) {
+            const user = users.find(candidate => candidate.phoneNumber === phoneNumber);
+
+            if (user) {
+                await addUser(user, { phoneNumber });
+                continue;
+            }
+
+            const result = await inviteByPhoneNumber(group, req.user, phoneNumber);
+
+            if (!result.invited) {
+                failed.push({ phoneNumber, reason: result.reason, retryAfter: result.retryAfter });
+                continue;
+            }
+
+            invited.push({ phoneNumber, smsSent: result.sent });
+        }
+
+        if (added.length > 0) {
+            await publishEvent(added, 'group_added', {
+                groupIds: [group.id],
+                addedBy: userId
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Members processed',
+            data: {
+                added,
+                invited,
+                failed
+            }
+        });
+    } catch (error) {
+        console.error('Add members error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error adding members',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Remove member from group
+ * @route DELETE /api/groups/:groupId/members/:memberId
+ */
+const removeMember = async (req, res) => {
+    try {
+        const { groupId, memberId } = req.params;
+        const userId = req.user.id;
+
+        const group = await prisma.group.findUnique({
+            where: { id: groupId }
+        });
+
+        if (!group) {
+            return res.status(404).json({
+                success: false,
+                message: 'Group not found'
+            });
+        }
+
+        const userRole = await getMemberRole(group, userId);
+
+        // Only moderators and above can remove members
+        if (!hasGroupPermission(userRole, 'remove_member')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only group moderators and admins can remove members'
+            });
+        }
+
+        // The owner can never be removed
+        if (memberId === group.adminId) {
+            return res.status(400).json({
+                success: false,
+                message: 'The group owner cannot be removed from the group'
+            });
+        }
+
+        // Check if user is a member
+        if (!group.memberIds.includes(memberId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'User is not a member of this group'
+            });
+        }
+
+        // Members can only be removed by someone ranked above them
+        if (!outranks(userRole, await getMemberRole(group, memberId))) {
+            return res.status(403).json({
+                success: false,
+                message: 'You cannot remove a member with the same or a higher role'
+            });
+        }
+
+        // Remove member, along with their nickname
+        await removeGroupMember(group, memberId, 'remove');
+
+        res.status(200).json({
+            success: true,
+            message: 'Member removed successfully'
+        });
+    } catch (error) {
+        console.error('Remove member error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error removing member',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Transfer group ownership
+ * @route POST /api/groups/:groupId/transfer
+ */
+const transferOwnership = async (req, res) => {
+    try {
+        const { groupId } = req.params;
+        const { newAdminId } = req.body;
+        const userId = req.user.id;
+
+        if (!newAdminId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide a new admin ID'
+            });
+        }
+
+        const group = await prisma.group.findUnique({
+            where: { id: groupId }
+        });
+
+        if (!group) {
+            return res.status(404).json({
+                success: false,
+                message: 'Group not found'
+            });
+        }
+
+        // Only the owner can transfer ownership
+        if (!hasGroupPermission(await getMemberRole(group, userId), 'transfer_ownership')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the group owner can transfer ownership'
+            });
+        }
+
+        // Check if new admin is a member
+        if (!group.memberIds.includes(newAdminId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'New admin must be a member of the group'
+            });
+        }
+
+        if (newAdminId === userId) {
+            return res.status(400).json({
+                success: false,
+                message: 'You already own this group'
+            });
+        }
+
+        // Transfer ownership, the previous owner stays on as an admin
+        await transferGroupOwnership(group, newAdminId);
+
+        res.status(200).json({
+            success: true,
+            message: 'Group ownership transferred successfully'
+        });
+    } catch (error) {
+        console.error('Transfer ownership error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error transferring ownership',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Delete group
+ * @route DELETE /api/groups/:groupId
+ */
+const deleteGroup = async (req, res) => {
+    try {
+        const { groupId } = req.params;
+        const userId = req.user.id;
+
+        const group = await prisma.group.findUnique({
+            where: { id: groupId }
+        });
+
+        if (!group) {
+            return res.status(404).json({
+                success: false,
+                message: 'Group not found'
+            });
+        }
+
+        // Only the owner can delete the group
+        if (!hasGroupPermission(await getMemberRole(group, userId), 'delete_group')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the group owner can delete the group'
+            });
+        }
+
+        // Delete group
+        await prisma.group.delete({
+            where: { id: groupId }
         });
 
         res.status(200).json({
@@ -797,16 +1391,544 @@ const deleteGroup = async (req, res) => {
     }
 };
 
+/**
+ * Move a member one step up or down the role hierarchy, or to an explicit role.
+ * The acting member must outrank the member's current role and may hand out
+ * at most their own role. Ownership only changes through a transfer.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {number} direction - 1 to promote, -1 to demote
+ */
+const changeMemberRole = async (req, res, direction) => {
+    const { groupId, memberId } = req.params;
+    const { role } = req.body || {};
+    const userId = req.user.id;
+
+    const group = await prisma.group.findUnique({
+        where: { id: groupId }
+    });
+
+    if (!group) {
+        return res.status(404).json({
+            success: false,
+            message: 'Group not found'
+        });
+    }
+
+    const userRole = await getMemberRole(group, userId);
+
+    if (!hasGroupPermission(userRole, 'change_roles')) {
+        return res.status(403).json({
+            success: false,
+            message: 'Only group admins can change member roles'
+        });
+    }
+
+    const currentRole = await getMemberRole(group, memberId);
+
+    if (!currentRole) {
+        return res.status(400).json({
+            success: false,
+            message: 'User is not a member of this group'
+        });
+    }
+
+    if (!outranks(userRole, currentRole)) {
+        return res.status(403).json({
+            success: false,
+            message: 'You cannot change the role of a member with the same or a higher role'
+        });
+    }
+
+    const newRole = role || GROUP_ROLES[getRoleRank(currentRole) + direction];
+    const rankChange = getRoleRank(newRole) - getRoleRank(currentRole);
+
+    if (!newRole || newRole === 'owner' || getRoleRank(newRole) === -1 || Math.sign(rankChange) !== direction) {
+        return res.status(400).json({
+            success: false,
+            message: direction > 0
+                ? 'Role must be higher than the member\'s current role and below owner'
+                : 'Role must be lower than the member\'s current role'
+        });
+    }
+
+    if (outranks(newRole, userRole)) {
+        return res.status(403).json({
+            success: false,
+            message: 'You cannot give a member a higher role than your own'
+        });
+    }
+
+    await setMemberRole(groupId, memberId, newRole);
+
+    return res.status(200).json({
+        success: true,
+        message: direction > 0 ? 'Member promoted successfully' : 'Member demoted successfully',
+        data: {
+            userId: memberId,
+            role: newRole
+        }
+    });
+};
+
+/**
+ * Promote a member
+ * @route POST /api/groups/:groupId/members/:memberId/promote
+ */
+const promoteMember = async (req, res) => {
+    try {
+        await changeMemberRole(req, res, 1);
+    } catch (error) {
+        console.error('Promote member error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error promoting member',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Demote a member
+ * @route POST /api/groups/:groupId/members/:memberId/demote
+ */
+const demoteMember = async (req, res) => {
+    try {
+        await changeMemberRole(req, res, -1);
+    } catch (error) {
+        console.error('Demote member error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error demoting member',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Mute a member for a while. They can still read but can't send or react.
+ * @route POST /api/groups/:groupId/members/:memberId/mute
+ */
+const muteMember = async (req, res) => {
+    try {
+        const { groupId, memberId } = req.params;
+        const { duration, reason } = req.body || {};
+        const userId = req.user.id;
+
+        if (!Number.isInteger(duration) || duration < 60 || duration > MAX_MUTE_SECONDS) {
+            return res.status(400).json({
+                success: false,
+                message: 'Mute duration must be between one minute and a year, in seconds'
+            });
+        }
+
+        if (reason !== undefined && (typeof reason !== 'string' || reason.length > 200)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Mute reasons must be at most 200 characters'
+            });
+        }
+
+        const group = await prisma.group.findUnique({
+            where: { id: groupId }
+        });
+
+        if (!group) {
+            return res.status(404).json({
+                success: false,
+                message: 'Group not found'
+            });
+        }
+
+        const userRole = await getMemberRole(group, userId);
+
+        // Only moderators and above can mute members
+        if (!hasGroupPermission(userRole, 'mute_member')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only group moderators and admins can mute members'
+            });
+        }
+
+        const memberRole = await getMemberRole(group, memberId);
+
+        if (!memberRole) {
+            return res.status(400).json({
+                success: false,
+                message: 'User is not a member of this group'
+            });
+        }
+
+        // Members can only be muted by someone ranked above them
+        if (!outranks(userRole, memberRole)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You cannot mute a member with the same or a higher role'
+            });
+        }
+
+        const mute = {
+            mutedBy: userId,
+            reason: reason || null,
+            mutedUntil: new Date(Date.now() + duration * 1000)
+        };
+
+        await prisma.groupMute.upsert({
+            where: {
+                groupId_userId: { groupId, userId: memberId }
+            },
+            update: mute,
+            create: { groupId, userId: memberId, ...mute }
+        });
+
+        await publishEvent([memberId], 'group_muted', {
+            groupId,
+            mutedUntil: mute.mutedUntil,
+            reason: mute.reason
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Member muted successfully',
+            data: {
+                userId: memberId,
+                mutedUntil: mute.mutedUntil,
+                reason: mute.reason
+            }
+        });
+    } catch (error) {
+        console.error('Mute member error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error muting member',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Lift a member's mute before it runs out
+ * @route DELETE /api/groups/:groupId/members/:memberId/mute
+ */
+const unmuteMember = async (req, res) => {
+    try {
+        const { groupId, memberId } = req.params;
+        const userId = req.user.id;
+
+        const group = await prisma.group.findUnique({
+            where: { id: groupId }
+        });
+
+        if (!group) {
+            return res.status(404).json({
+                success: false,
+                message: 'Group not found'
+            });
+        }
+
+        const userRole = await getMemberRole(group, userId);
+
+        if (!hasGroupPermission(userRole, 'mute_member')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only group moderators and admins can unmute members'
+            });
+        }
+
+        const mute = await prisma.groupMute.findUnique({
+            where: {
+                groupId_userId: { groupId, userId: memberId }
+            }
+        });
+
+        if (!mute || mute.mutedUntil <= new Date()) {
+            return res.status(404).json({
+                success: false,
+                message: 'Member is not muted'
+            });
+        }
+
+        const memberRole = await getMemberRole(group, memberId);
+
+        // Same rank rule as muting, and a mute can't be lifted by someone
+        // ranked below whoever imposed it
+        if ((memberRole && !outranks(userRole, memberRole))
+            || outranks(await getMemberRole(group, mute.mutedBy), userRole)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You cannot unmute this member'
+            });
+        }
+
+        const result = await prisma.groupMute.deleteMany({
+            where: {
+                groupId,
+                userId: memberId,
+                mutedUntil: { gt: new Date() }
+            }
+        });
+
+        if (result.count === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Member is not muted'
+            });
+        }
+
+        await publishEvent([memberId], 'group_unmuted', { groupId });
+
+        res.status(200).json({
+            success: true,
+            message: 'Member unmuted successfully'
+        });
+    } catch (error) {
+        console.error('Unmute member error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error unmuting member',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Distribute the current user's sender key for the group's current key epoch,
+ * wrapped for every other member
+ * @route POST /api/groups/:groupId/sender-keys
+ */
+const distributeSenderKey = async (req, res) => {
+    try {
+        const { groupId } = req.params;
+        const { epoch, encryptedKeys } = req.body;
+        const userId = req.user.id;
+
+        if (epoch === undefined || !encryptedKeys || typeof encryptedKeys !== 'object') {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide the key epoch and an encrypted key for every member'
+            });
+        }
+
+        const group = await prisma.group.findUnique({
+            where: { id: groupId }
+        });
+
+        if (!group) {
+            return res.status(404).json({
+                success: false,
+                message: 'Group not found'
+            });
+        }
+
+        if (!group.memberIds.includes(userId)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You are not a member of this group'
+            });
+        }
+
+        // Keys for an old epoch could still reach members who have since left
+        if (epoch !== group.keyEpoch) {
+            return res.status(409).json({
+                success: false,
+                code: 'GROUP_EPOCH_MISMATCH',
+                message: 'The group has moved to a new key epoch',
+                currentEpoch: group.keyEpoch
+            });
+        }
+
+        const recipientIds = group.memberIds.filter(id => id !== userId);
+        const missingMembers = recipientIds.filter(id => !encryptedKeys[id]);
+        const unknownMembers = Object.keys(encryptedKeys).filter(id => !recipientIds.includes(id));
+
+        if (missingMembers.length > 0 || unknownMembers.length > 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'Encrypted keys do not match the group members',
+                missingMembers,
+                unknownMembers
+            });
+        }
+
+        const keys = recipientIds.map(recipientId => ({
+            recipientId,
+            encryptedKey: encryptedKeys[recipientId]
+        }));
+
+        await prisma.senderKeyDistribution.upsert({
+            where: {
+                groupId_epoch_senderId: { groupId, epoch, senderId: userId }
+            },
+            update: { keys },
+            create: {
+                groupId,
+                epoch,
+                senderId: userId,
+                keys
+            }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Sender key distributed successfully',
+            data: {
+                groupId,
+                epoch
+            }
+        });
+    } catch (error) {
+        console.error('Distribute sender key error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error distributing sender key',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Get the sender keys other members distributed to the current user for the
+ * group's current key epoch
+ * @route GET /api/groups/:groupId/sender-keys
+ */
+const getSenderKeys = async (req, res) => {
+    try {
+        const { groupId } = req.params;
+        const userId = req.user.id;
+
+        const group = await prisma.group.findUnique({
+            where: { id: groupId }
+        });
+
+        if (!group) {
+            return res.status(404).json({
+                success: false,
+                message: 'Group not found'
+            });
+        }
+
+        if (!group.memberIds.includes(userId)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You are not a member of this group'
+            });
+        }
+
+        const distributions = await prisma.senderKeyDistribution.findMany({
+            where: {
+                groupId,
+                epoch: group.keyEpoch,
+                senderId: { not: userId }
+            }
+        });
+
+        const senderKeys = distributions
+            .map(distribution => {
+                const envelope = distribution.keys.find(key => key.recipientId === userId);
+
+                return envelope
+                    ? {
+                        senderId: distribution.senderId,
+                        encryptedKey: envelope.encryptedKey,
+                        createdAt: distribution.createdAt
+                    }
+                    : null;
+            })
+            .filter(Boolean);
+
+        res.status(200).json({
+            success: true,
+            epoch: group.keyEpoch,
+            count: senderKeys.length,
+            data: senderKeys
+        });
+    } catch (error) {
+        console.error('Get sender keys error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error fetching sender keys',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Public keys of every member, used to wrap message and sender keys. Unlike
+ * the member list this includes members hidden by nickname visibility, since
+ * every member needs an envelope.
+ * @route GET /api/groups/:groupId/keys
+ */
+const getGroupMemberKeys = async (req, res) => {
+    try {
+        const { groupId } = req.params;
+        const userId = req.user.id;
+
+        const group = await prisma.group.findUnique({
+            where: { id: groupId },
+            include: {
+                members: {
+                    select: {
+                        id: true,
+                        publicKey: true
+                    }
+                }
+            }
+        });
+
+        if (!group) {
+            return res.status(404).json({
+                success: false,
+                message: 'Group not found'
+            });
+        }
+
+        if (!group.memberIds.includes(userId)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You are not a member of this group'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                groupId: group.id,
+                keyEpoch: group.keyEpoch,
+                members: group.members
+            }
+        });
+    } catch (error) {
+        console.error('Get group member keys error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error retrieving group member keys',
+            error: error.message
+        });
+    }
+};
+
 module.exports = {
     createGroup,
     getGroupDetails,
     getUserGroups,
+    discoverGroups,
     joinGroup,
+    joinPublicGroup,
     leaveGroup,
     updateGroup,
     setMemberNickname,
     generateGroupInvite,
+    getGroupInvites,
+    revokeGroupInvite,
+    addMembers,
     removeMember,
+    promoteMember,
+    demoteMember,
+    muteMember,
+    unmuteMember,
     transferOwnership,
-    deleteGroup
+    deleteGroup,
+    distributeSenderKey,
+    getSenderKeys,
+    getGroupMemberKeys
 };
\ No newline at end of file
@@ -0,0 +1,229 @@
+// src/controllers/groupBan.controller.js
+const { prisma } = require('../config/db');
+const { hasGroupPermission, outranks } = require('../utils/groupRole.util');
+const { getMemberRole, banGroupMember } = require('../services/group.service');
+
+// Longest a temporary ban can last, in seconds. Leave expiresIn out to ban for good.
+const MAX_BAN_SECONDS = 365 * 24 * 60 * 60;
+
+/**
+ * Load a group and check that the current user may manage its bans
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Object|null} The group, or null once an error response was sent
+ */
+const loadBanManagedGroup = async (req, res) => {
+  const group = await prisma.group.findUnique({
+    where: { id: req.params.groupId }
+  });
+
+  if (!group) {
+    res.status(404).json({
+      success: false,
+      message: 'Group not found'
+    });
+    return null;
+  }
+
+  if (!hasGroupPermission(await getMemberRole(group, req.user.id), 'ban_member')) {
+    res.status(403).json({
+      success: false,
+      message: 'Only group admins can manage bans'
+    });
+    return null;
+  }
+
+  return group;
+};
+
+/**
+ * Ban a user from a group, removing them if they are a member
+ * @route POST /api/groups/:groupId/bans
+ */
+const banUser = async (req, res) => {
+  try {
+    const { userId, reason, expiresIn } = req.body || {};
+
+    if (typeof userId !== 'string' || !/^[a-f0-9]{24}$/.test(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid user ID to ban'
+      });
+    }
+
+    if (reason !== undefined && (typeof reason !== 'string' || reason.length > 200)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ban reasons must be at most 200 characters'
+      });
+    }
+
+    if (expiresIn !== undefined && expiresIn !== null && (!Number.isInteger(expiresIn) || expiresIn < 60 || expiresIn > MAX_BAN_SECONDS)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ban expiry must be between one minute and a year, in seconds'
+      });
+    }
+
+    const group = await loadBanManagedGroup(req, res);
+
+    if (!group) {
+      return;
+    }
+
+    if (userId === req.user.id || userId === group.adminId) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot ban yourself or the group owner'
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true }
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Members can only be banned by someone ranked above them
+    if (group.memberIds.includes(userId)
+      && !outranks(await getMemberRole(group, req.user.id), await getMemberRole(group, userId))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You cannot ban a member with the same or a higher role'
+      });
+    }
+
+    const ban = await banGroupMember(group, userId, req.user.id, { reason, expiresIn });
+
+    res.status(200).json({
+      success: true,
+      message: 'User banned from the group',
+      data: {
+        userId: ban.userId,
+        reason: ban.reason,
+        expiresAt: ban.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Ban user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error banning user',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List a group's active bans
+ * @route GET /api/groups/:groupId/bans
+ */
+const getBans = async (req, res) => {
+  try {
+    const group = await loadBanManagedGroup(req, res);
+
+    if (!group) {
+      return;
+    }
+
+    const bans = await prisma.groupBan.findMany({
+      where: {
+        groupId: group.id,
+        OR: [
+          { expiresAt: null },
+          { expiresAt: { gt: new Date() } }
+        ]
+      },
+      include: {
+        user: {
+          select: {
+            id: true,
+            username: true,
+            profilePic: true
+          }
+        }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.status(200).json({
+      success: true,
+      count: bans.length,
+      data: bans.map(ban => ({
+        user: ban.user,
+        bannedBy: ban.bannedBy,
+        reason: ban.reason,
+        expiresAt: ban.expiresAt,
+        createdAt: ban.createdAt
+      }))
+    });
+  } catch (error) {
+    console.error('Get bans error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error retrieving bans',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Lift a user's ban. They still need an invite to rejoin.
+ * @route DELETE /api/groups/:groupId/bans/:userId
+ */
+const unbanUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!/^[a-f0-9]{24}$/.test(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid user ID to unban'
+      });
+    }
+
+    const group = await loadBanManagedGroup(req, res);
+
+    if (!group) {
+      return;
+    }
+
+    const result = await prisma.groupBan.deleteMany({
+      where: {
+        groupId: group.id,
+        userId
+      }
+    });
+
+    if (result.count === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ban not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'User unbanned'
+    });
+  } catch (error) {
+    console.error('Unban user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error unbanning user',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  banUser,
+  getBans,
+  unbanUser
+};
@@ -0,0 +1,136 @@
+// src/controllers/handle.controller.js
+const { prisma } = require('../config/db');
+const { sendFailure } = require('../utils/failure.util');
+const { applyPrivacy } = require('../utils/privacy.util');
+const { getVisibilityContext } = require('../services/contact.service');
+const {
+  HANDLE_FAILURES,
+  findUserIdByHandle,
+  claimHandle,
+  releaseHandle
+} = require('../services/handle.service');
+
+/**
+ * Claim or change the current user's handle
+ * @route PUT /api/auth/handle
+ */
+const setHandle = async (req, res) => {
+  try {
+    const { handle } = req.body;
+
+    if (!handle) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a handle'
+      });
+    }
+
+    const result = await claimHandle(req.user, handle);
+
+    if (!result.updated) {
+      return sendFailure(res, HANDLE_FAILURES, result);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Handle updated successfully',
+      data: {
+        handle: result.handle
+      }
+    });
+  } catch (error) {
+    console.error('Set handle error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating handle',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Release the current user's handle
+ * @route DELETE /api/auth/handle
+ */
+const removeHandle = async (req, res) => {
+  try {
+    const released = await releaseHandle(req.user.id);
+
+    if (!released) {
+      return res.status(404).json({
+        success: false,
+        message: 'You do not have a handle'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Handle removed successfully'
+    });
+  } catch (error) {
+    console.error('Remove handle error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing handle',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Find a user by handle. The phone number is never included, so a chat can
+ * be started without either side learning the other's number.
+ * @route GET /api/auth/u/:handle
+ */
+const lookupHandle = async (req, res) => {
+  try {
+    const userId = await findUserIdByHandle(req.params.handle);
+
+    const user = userId
+      ? await prisma.user.findUnique({
+          where: { id: userId },
+          select: {
+            id: true,
+            username: true,
+            profilePic: true,
+            status: true,
+            lastSeen: true,
+            isOnline: true,
+            publicKey: true,
+            privacy: true,
+            handle: { select: { handle: true } }
+          }
+        })
+      : null;
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const visibility = await getVisibilityContext(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...applyPrivacy(user, req.user.id, visibility),
+        handle: user.handle.handle
+      }
+    });
+  } catch (error) {
+    console.error('Lookup handle error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while looking up handle',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  setHandle,
+  removeHandle,
+  lookupHandle
+};
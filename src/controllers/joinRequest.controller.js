@@ -0,0 +1,282 @@
+// src/controllers/joinRequest.controller.js
+const { prisma } = require('../config/db');
+const { hasGroupPermission } = require('../utils/groupRole.util');
+const { publishEvent } = require('../services/notification.service');
+const { getMemberRole, addGroupMember, checkGroupBan } = require('../services/group.service');
+
+/**
+ * Load a group and check that the current user may review its join requests
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Object|null} The group, or null once an error response was sent
+ */
+const loadReviewableGroup = async (req, res) => {
+    const group = await prisma.group.findUnique({
+        where: { id: req.params.groupId }
+    });
+
+    if (!group) {
+        res.status(404).json({
+            success: false,
+            message: 'Group not found'
+        });
+        return null;
+    }
+
+    if (!hasGroupPermission(await getMemberRole(group, req.user.id), 'review_join_requests')) {
+        res.status(403).json({
+            success: false,
+            message: 'Only group admins can review join requests'
+        });
+        return null;
+    }
+
+    return group;
+};
+
+/**
+ * Approve or reject a pending join request
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} status - "approved" or "rejected"
+ */
+const reviewJoinRequest = async (req, res, status) => {
+    const group = await loadReviewableGroup(req, res);
+
+    if (!group) {
+        return;
+    }
+
+    const request = await prisma.groupJoinRequest.findFirst({
+        where: {
+            id: req.params.requestId,
+            groupId: group.id,
+            status: 'pending'
+        }
+    });
+
+    if (!request) {
+        return res.status(404).json({
+            success: false,
+            message: 'Join request not found'
+        });
+    }
+
+    // A ban issued after the request was made still applies
+    if (status === 'approved' && await checkGroupBan(group.id, request.userId)) {
+        return res.status(403).json({
+            success: false,
+            message: 'This user is banned from the group'
+        });
+    }
+
+    // Only the first review of a request takes effect
+    const result = await prisma.groupJoinRequest.updateMany({
+        where: {
+            id: request.id,
+            status: 'pending'
+        },
+        data: {
+            status,
+            reviewedBy: req.user.id,
+            reviewedAt: new Date()
+        }
+    });
+
+    if (result.count === 0) {
+        return res.status(409).json({
+            success: false,
+            message: 'This join request has already been reviewed'
+        });
+    }
+
+    if (status === 'approved' && !group.memberIds.includes(request.userId)) {
+        await addGroupMember(group, request.userId, { inviteId: request.inviteId });
+    }
+
+    await publishEvent([request.userId], status === 'approved' ? 'group_join_approved' : 'group_join_rejected', {
+        groupId: group.id,
+        requestId: request.id
+    });
+
+    return res.status(200).json({
+        success: true,
+        message: status === 'approved' ? 'Join request approved' : 'Join request rejected',
+        data: {
+            requestId: request.id,
+            userId: request.userId,
+            status
+        }
+    });
+};
+
+/**
+ * List a group's pending join requests
+ * @route GET /api/groups/:groupId/join-requests
+ */
+const getJoinRequests = async (req, res) => {
+    try {
+        const group = await loadReviewableGroup(req, res);
+
+        if (!group) {
+            return;
+        }
+
+        const requests = await prisma.groupJoinRequest.findMany({
+            where: {
+                groupId: group.id,
+                status: 'pending'
+            },
+            include: {
+                user: {
+                    select: {
+                        id: true,
+                        username: true,
+                        profilePic: true
+                    }
+                }
+            },
+            orderBy: { createdAt: 'asc' }
+        });
+
+        res.status(200).json({
+            success: true,
+            joinQuestion: group.joinQuestion,
+            count: requests.length,
+            data: requests.map(request => ({
+                id: request.id,
+                user: request.user,
+                answer: request.answer,
+                createdAt: request.createdAt
+            }))
+        });
+    } catch (error) {
+        console.error('Get join requests error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error retrieving join requests',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Approve a join request, adding the requester to the group
+ * @route POST /api/groups/:groupId/join-requests/:requestId/approve
+ */
+const approveJoinRequest = async (req, res) => {
+    try {
+        await reviewJoinRequest(req, res, 'approved');
+    } catch (error) {
+        console.error('Approve join request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error approving join request',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Reject a join request
+ * @route POST /api/groups/:groupId/join-requests/:requestId/reject
+ */
+const rejectJoinRequest = async (req, res) => {
+    try {
+        await reviewJoinRequest(req, res, 'rejected');
+    } catch (error) {
+        console.error('Reject join request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error rejecting join request',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * List the current user's pending join requests
+ * @route GET /api/groups/join-requests
+ */
+const getMyJoinRequests = async (req, res) => {
+    try {
+        const requests = await prisma.groupJoinRequest.findMany({
+            where: {
+                userId: req.user.id,
+                status: 'pending'
+            },
+            include: {
+                group: {
+                    select: {
+                        id: true,
+                        name: true,
+                        profilePic: true
+                    }
+                }
+            },
+            orderBy: { createdAt: 'desc' }
+        });
+
+        res.status(200).json({
+            success: true,
+            count: requests.length,
+            data: requests.map(request => ({
+                id: request.id,
+                group: request.group,
+                answer: request.answer,
+                createdAt: request.createdAt
+            }))
+        });
+    } catch (error) {
+        console.error('Get my join requests error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error retrieving join requests',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Cancel one of the current user's pending join requests
+ * @route DELETE /api/groups/join-requests/:requestId
+ */
+const cancelJoinRequest = async (req, res) => {
+    try {
+        const result = await prisma.groupJoinRequest.updateMany({
+            where: {
+                id: req.params.requestId,
+                userId: req.user.id,
+                status: 'pending'
+            },
+            data: { status: 'cancelled' }
+        });
+
+        if (result.count === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Join request not found'
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Join request cancelled'
+        });
+    } catch (error) {
+        console.error('Cancel join request error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error cancelling join request',
+            error: error.message
+        });
+    }
+};
+
+module.exports = {
+    getJoinRequests,
+    approveJoinRequest,
+    rejectJoinRequest,
+    getMyJoinRequests,
+    cancelJoinRequest
+};
@@ -0,0 +1,224 @@
+// src/controllers/key.controller.js
+const crypto = require('crypto');
+const { prisma } = require('../config/db');
+const { publishKeyChange, getSafetyNumberKeys } = require('../services/key.service');
+const { generateSafetyNumber } = require('../utils/safetyNumber.util');
+
+const OBJECT_ID_PATTERN = /^[a-f0-9]{24}$/;
+
+/**
+ * Check that a string is a public key Node can parse
+ * @param {string} publicKey - Public key in PEM format
+ * @returns {boolean} Whether the key is usable
+ */
+const isValidPublicKey = (publicKey) => {
+  try {
+    crypto.createPublicKey(publicKey);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Replace the current user's public key. Contacts and group co-members are
+ * told so their safety number with this user can be checked again.
+ * @route PUT /api/auth/keys
+ */
+const rotatePublicKey = async (req, res) => {
+  try {
+    const { publicKey } = req.body;
+    const user = req.user;
+
+    if (!publicKey || !isValidPublicKey(publicKey)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a valid public key in PEM format'
+      });
+    }
+
+    if (publicKey.trim() === user.publicKey.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'This is already your public key'
+      });
+    }
+
+    const now = new Date();
+
+    const replaced = await prisma.publicKeyHistory.updateMany({
+      where: {
+        userId: user.id,
+        replacedAt: null
+      },
+      data: { replacedAt: now }
+    });
+
+    // Accounts created before keys were tracked have no entry for their first key
+    if (replaced.count === 0) {
+      await prisma.publicKeyHistory.create({
+        data: {
+          userId: user.id,
+          publicKey: user.publicKey,
+          createdAt: user.createdAt,
+          replacedAt: now
+        }
+      });
+    }
+
+    await prisma.publicKeyHistory.create({
+      data: {
+        userId: user.id,
+        publicKey,
+        createdAt: now
+      }
+    });
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { publicKey }
+    });
+
+    await publishKeyChange(user.id, {
+      reason: 'account_key',
+      publicKey,
+      changedAt: now
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Public key updated successfully',
+      data: {
+        publicKey,
+        changedAt: now
+      }
+    });
+  } catch (error) {
+    console.error('Rotate public key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating public key',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * List the public keys a user has had, newest first
+ * @route GET /api/auth/keys/:userId/history
+ */
+const getKeyHistory = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!OBJECT_ID_PATTERN.test(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true }
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const history = await prisma.publicKeyHistory.findMany({
+      where: { userId },
+      select: {
+        publicKey: true,
+        createdAt: true,
+        replacedAt: true
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.status(200).json({
+      success: true,
+      count: history.length,
+      data: history
+    });
+  } catch (error) {
+    console.error('Get key history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching key history',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Safety number for the current user and another user, to be compared
+ * out of band (in person, over a call). It covers both users' device keys,
+ * so it changes whenever a device is linked or unlinked.
+ * @route GET /api/auth/keys/:userId/safety-number
+ */
+const getSafetyNumber = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!OBJECT_ID_PATTERN.test(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    if (userId === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Safety numbers are calculated with another user'
+      });
+    }
+
+    const [currentUser, otherUser] = await Promise.all([
+      getSafetyNumberKeys(req.user.id),
+      getSafetyNumberKeys(userId)
+    ]);
+
+    if (!otherUser) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const currentKey = await prisma.publicKeyHistory.findFirst({
+      where: {
+        userId,
+        replacedAt: null
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        userId,
+        publicKey: otherUser.publicKey,
+        keyChangedAt: currentKey ? currentKey.createdAt : null,
+        safetyNumber: generateSafetyNumber(currentUser, otherUser)
+      }
+    });
+  } catch (error) {
+    console.error('Get safety number error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while calculating safety number',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  rotatePublicKey,
+  getKeyHistory,
+  getSafetyNumber
+};
@@ -4,9 +4,7 @@ const path = require('path');
 const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 const { prisma } = require('../config/db');
-
-// Configure storage path
-const MEDIA_STORAGE_PATH = process.env.MEDIA_STORAGE_PATH || path.join(__dirname, '../../uploads');
+const { MEDIA_STORAGE_PATH } = require('../utils/media.util');
 
 // Ensure upload directory exists
 if (!fs.existsSync(MEDIA_STORAGE_PATH)) {
@@ -37,6 +35,14 @@ const uploadMedia = async (req, res) => {
     // Write file to disk
     fs.writeFileSync(filePath, req.file.buffer);
     
+    // Remember the uploader, so account export and deletion only touch their own files
+    await prisma.media.create({
+      data: {
+        filename: uniqueFilename,
+        uploadedBy: userId
+      }
+    });
+    
     // Calculate media type
     let mediaType = 'document';
     if (req.file.mimetype.startsWith('image/')) {
@@ -239,6 +245,10 @@ const deleteMedia = async (req, res) => {
       fs.unlinkSync(filePath);
     }
     
+    await prisma.media.deleteMany({
+      where: { filename: sanitizedFilename }
+    });
+    
     res.status(200).json({
       success: true,
       message: 'Media deleted successfully'
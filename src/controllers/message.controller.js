@@ -1,5 +1,78 @@
 // src/controllers/message.controller.js
 const { prisma } = require('../config/db');
+const { applyPrivacy } = require('../utils/privacy.util');
+const { getVisibilityContext } = require('../services/contact.service');
+const { isBlocked } = require('../services/block.service');
+const { resolveUserId } = require('../services/handle.service');
+const { sendFailure } = require('../utils/failure.util');
+const { GROUP_POSTING_FAILURES, checkCanPost, hasSenderKey } = require('../services/group.service');
+
+/**
+ * Match per-device key envelopes of a direct message against the devices of
+ * the receiver (all required) and the sender (optional, for their other devices)
+ * @param {Object} encryptedKeys - Map of deviceId -> encrypted key
+ * @param {string} receiverId - Receiver's user ID
+ * @param {string} senderId - Sender's user ID
+ * @returns {Object} Envelopes to store plus any missing or unknown device IDs
+ */
+const buildDeviceEnvelopes = async (encryptedKeys, receiverId, senderId) => {
+  const devices = await prisma.device.findMany({
+    where: { userId: { in: [receiverId, senderId] } },
+    select: { id: true, userId: true }
+  });
+  
+  const deviceOwners = new Map(devices.map(device => [device.id, device.userId]));
+  
+  const unknownDevices = Object.keys(encryptedKeys).filter(deviceId => !deviceOwners.has(deviceId));
+  const missingDevices = devices
+    .filter(device => device.userId === receiverId && !encryptedKeys[device.id])
+    .map(device => device.id);
+  
+  const envelopes = Object.entries(encryptedKeys)
+    .filter(([deviceId]) => deviceOwners.has(deviceId))
+    .map(([deviceId, encryptedKey]) => ({
+      recipientId: deviceOwners.get(deviceId),
+      deviceId,
+      encryptedKey
+    }));
+  
+  return { envelopes, missingDevices, unknownDevices };
+};
+
+/**
+ * Match per-member key envelopes of a group message against the group's
+ * current members. Every member, the sender included, needs an envelope.
+ * @param {Object} encryptedKeys - Map of memberId -> encrypted key
+ * @param {string[]} memberIds - Current member IDs of the group
+ * @returns {Object} Envelopes to store plus any missing or unknown member IDs
+ */
+const buildMemberEnvelopes = (encryptedKeys, memberIds) => {
+  const members = new Set(memberIds);
+  
+  const unknownMembers = Object.keys(encryptedKeys).filter(memberId => !members.has(memberId));
+  const missingMembers = memberIds.filter(memberId => !encryptedKeys[memberId]);
+  
+  const envelopes = Object.entries(encryptedKeys)
+    .filter(([memberId]) => members.has(memberId))
+    .map(([memberId, encryptedKey]) => ({
+      recipientId: memberId,
+      deviceId: null,
+      encryptedKey
+    }));
+  
+  return { envelopes, missingMembers, unknownMembers };
+};
+
+/**
+ * Replace a message's key envelopes with the one meant for the caller. The
+ * `blocked` flag is dropped too so senders can't tell they were blocked.
+ * @param {Object} message - Message including its `keys`
+ * @returns {Object} Message with a single `encryptedKey`
+ */
+const withOwnEnvelope = ({ keys, blocked, ...message }) => ({
+  ...message,
+  encryptedKey: keys && keys.length > 0 ? keys[0].encryptedKey : message.encryptedKey
+});
 
 /**
  * Send a new message (1-1 or group)
@@ -8,26 +81,71 @@ const { prisma } = require('../config/db');
 const sendMessage = async (req, res) => {
   try {
     const { 
-      receiverId, 
       groupId, 
       content, 
       encryptedKey,
+      encryptedKeys,
       mediaUrl,
       mediaType,
       isAnonymous,
-      expiresAt
+      keyEpoch
     } = req.body;
     
+    let { expiresAt } = req.body;
+    
     const senderId = req.user.id;
     
     // Validate that either receiverId or groupId is provided
-    if (!receiverId && !groupId) {
+    if (!req.body.receiverId && !groupId) {
       return res.status(400).json({
         success: false,
         message: 'Please provide either a receiver ID or group ID'
       });
     }
     
+    // The receiver may be given as "@handle" instead of a user ID
+    const receiverId = await resolveUserId(req.body.receiverId);
+    
+    if (req.body.receiverId && !receiverId) {
+      return res.status(404).json({
+        success: false,
+        message: 'No user has this handle'
+      });
+    }
+    
+    if (!encryptedKey && !encryptedKeys) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an encrypted key'
+      });
+    }
+    
+    // Direct messages may carry one key envelope per device
+    let keyEnvelopes = [];
+    if (receiverId && encryptedKeys) {
+      const { envelopes, missingDevices, unknownDevices } = await buildDeviceEnvelopes(
+        encryptedKeys,
+        receiverId,
+        senderId
+      );
+      
+      if (missingDevices.length > 0 || unknownDevices.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Encrypted keys do not match the recipient devices',
+          missingDevices,
+          unknownDevices
+        });
+      }
+      
+      keyEnvelopes = envelopes;
+    }
+    
+    // Messages to someone who blocked the sender are accepted but never delivered
+    const blockedByReceiver = receiverId ? await isBlocked(receiverId, senderId) : false;
+    
+    let messageKeyEpoch = null;
+    
     // If it's a group message, check if user is a member of the group
     if (groupId) {
       const group = await prisma.group.findUnique({
@@ -50,6 +168,48 @@ const sendMessage = async (req, res) => {
         });
       }
       
+      // Announcement-only groups and muted members can't send
+      const postingFailure = await checkCanPost(group, senderId);
+      if (postingFailure) {
+        return sendFailure(res, GROUP_POSTING_FAILURES, postingFailure);
+      }
+      
+      // Messages are only accepted on the current key epoch, once the sender has rekeyed
+      if (keyEpoch !== group.keyEpoch || !(await hasSenderKey(group, senderId))) {
+        return res.status(409).json({
+          success: false,
+          code: 'GROUP_REKEY_REQUIRED',
+          message: 'Distribute your sender key for the current key epoch before sending',
+          currentEpoch: group.keyEpoch
+        });
+      }
+      
+      messageKeyEpoch = group.keyEpoch;
+      
+      // Each member unwraps the message key with their own RSA key
+      if (!encryptedKeys) {
+        return res.status(400).json({
+          success: false,
+          message: 'Group messages need an encrypted key for every member'
+        });
+      }
+      
+      const { envelopes, missingMembers, unknownMembers } = buildMemberEnvelopes(
+        encryptedKeys,
+        group.memberIds
+      );
+      
+      if (missingMembers.length > 0 || unknownMembers.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Encrypted keys do not match the group members',
+          missingMembers,
+          unknownMembers
+        });
+      }
+      
+      keyEnvelopes = envelopes;
+      
       // Check if anonymous messaging is allowed in this group
       if (isAnonymous && !group.allowAnonymous) {
         return res.status(403).json({
@@ -73,18 +233,25 @@ const sendMessage = async (req, res) => {
         receiverId: receiverId || null,
         groupId: groupId || null,
         content,
-        encryptedKey,
+        encryptedKey: encryptedKey || null,
+        keys: {
+          create: keyEnvelopes
+        },
         mediaUrl: mediaUrl || null,
         mediaType: mediaType || null,
         isAnonymous: isAnonymous || false,
-        expiresAt: expiresAt ? new Date(expiresAt) : null
+        expiresAt: expiresAt ? new Date(expiresAt) : null,
+        blocked: blockedByReceiver,
+        keyEpoch: messageKeyEpoch
       }
     });
     
+    const { blocked, ...sentMessage } = message;
+    
     res.status(201).json({
       success: true,
       message: 'Message sent successfully',
-      data: message
+      data: sentMessage
     });
   } catch (error) {
     console.error('Send message error:', error);
@@ -108,28 +275,45 @@ const getMessagesByUser = async (req, res) => {
     // Get messages where current user is either sender or receiver
     const messages = await prisma.message.findMany({
       where: {
-        OR: [
+        AND: [
+          {
+            OR: [
+              {
+                senderId: currentUserId,
+                receiverId: otherUserId
+              },
+              {
+                senderId: otherUserId,
+                receiverId: currentUserId
+              }
+            ]
+          },
+          // Don't return expired messages
           {
-            senderId: currentUserId,
-            receiverId: otherUserId
+            OR: [
+              { expiresAt: null },
+              { expiresAt: { gt: new Date() } }
+            ]
           },
+          // Messages sent while the sender was blocked never reach the receiver
           {
-            senderId: otherUserId,
-            receiverId: currentUserId
+            NOT: {
+              receiverId: currentUserId,
+              blocked: true
+            }
           }
         ],
-        deleted: false,
-        // Don't return expired messages
-        OR: [
-          { expiresAt: null },
-          { expiresAt: { gt: new Date() } }
-        ]
+        deleted: false
       },
       orderBy: {
         createdAt: 'asc'
       },
       include: {
-        reactions: true
+        reactions: true,
+        // Only the key envelope for the calling device
+        keys: {
+          where: { deviceId: req.device ? req.device.id : null }
+        }
       }
     });
     
@@ -138,7 +322,8 @@ const getMessagesByUser = async (req, res) => {
       where: {
         senderId: otherUserId,
         receiverId: currentUserId,
-        isDelivered: false
+        isDelivered: false,
+        NOT: { blocked: true }
       },
       data: {
         isDelivered: true
@@ -148,7 +333,7 @@ const getMessagesByUser = async (req, res) => {
     res.status(200).json({
       success: true,
       count: messages.length,
-      data: messages
+      data: messages.map(withOwnEnvelope)
     });
   } catch (error) {
     console.error('Get messages error:', error);
@@ -213,7 +398,8 @@ const getGroupMessages = async (req, res) => {
             id: true,
             username: true,
             phoneNumber: true,
-            profilePic: true
+            profilePic: true,
+            privacy: true
           }
         },
         reactions: {
@@ -225,12 +411,23 @@ const getGroupMessages = async (req, res) => {
               }
             }
           }
+        },
+        // Only the caller's envelope is returned
+        keys: {
+          where: { recipientId: currentUserId }
         }
       }
     });
     
+    const visibility = await getVisibilityContext(currentUserId);
+    
     // Map nicknames to messages
-    const messagesWithNicknames = messages.map(message => {
+    const messagesWithNicknames = messages.map(withOwnEnvelope).map(privateMessage => {
+      // Apply the sender's privacy settings (the sender is gone for deleted accounts)
+      const message = privateMessage.sender
+        ? { ...privateMessage, sender: applyPrivacy(privateMessage.sender, currentUserId, visibility) }
+        : privateMessage;
+      
       // Don't modify the sender info for anonymous messages
       if (message.isAnonymous) {
         return {
@@ -291,7 +488,8 @@ const markMessageRead = async (req, res) => {
       where: { id: messageId }
     });
     
-    if (!message) {
+    // Blocked messages don't exist as far as the receiver is concerned
+    if (!message || (message.blocked && message.receiverId === userId)) {
       return res.status(404).json({
         success: false,
         message: 'Message not found'
@@ -416,7 +614,7 @@ const addReaction = async (req, res) => {
       }
     });
     
-    if (!message) {
+    if (!message || (message.blocked && message.receiverId === userId)) {
       return res.status(404).json({
         success: false,
         message: 'Message not found'
@@ -425,18 +623,18 @@ const addReaction = async (req, res) => {
     
     // Check if user has permission to react to the message
     let canReact = false;
+    let group = null;
+    
+    if (message.groupId) {
+      group = await prisma.group.findUnique({
+        where: { id: message.groupId }
+      });
+    }
     
     if (message.receiverId === userId || message.senderId === userId) {
       canReact = true;
-    } else if (message.groupId) {
-      const group = await prisma.group.findUnique({
-        where: { id: message.groupId },
-        include: { members: true }
-      });
-      
-      if (group && group.memberIds.includes(userId)) {
-        canReact = true;
-      }
+    } else if (group && group.memberIds.includes(userId)) {
+      canReact = true;
     }
     
     if (!canReact) {
@@ -446,6 +644,25 @@ const addReaction = async (req, res) => {
       });
     }
     
+    // Muted members can read but not react
+    if (group && group.memberIds.includes(userId)) {
+      const postingFailure = await checkCanPost(group, userId, { reacting: true });
+      
+      if (postingFailure) {
+        return sendFailure(res, GROUP_POSTING_FAILURES, postingFailure);
+      }
+    }
+    
+    // Reactions to someone who blocked the reactor are silently dropped
+    const otherUserId = message.senderId === userId ? message.receiverId : message.senderId;
+    
+    if (otherUserId && await isBlocked(otherUserId, userId)) {
+      return res.status(200).json({
+        success: true,
+        message: 'Reaction added successfully'
+      });
+    }
+    
     // Check if user already reacted to the message
     const existingReaction = message.reactions.find(r => r.userId === userId);
     
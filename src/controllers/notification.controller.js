@@ -0,0 +1,77 @@
+// src/controllers/notification.controller.js
+const { prisma } = require('../config/db');
+
+/**
+ * Get the current user's notifications, newest first
+ * @route GET /api/auth/notifications
+ */
+const getNotifications = async (req, res) => {
+  try {
+    const { unread, before } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+
+    const notifications = await prisma.notification.findMany({
+      where: {
+        userId: req.user.id,
+        readAt: unread === 'true' ? null : undefined,
+        createdAt: before ? { lt: new Date(before) } : undefined
+      },
+      orderBy: {
+        createdAt: 'desc'
+      },
+      take: limit
+    });
+
+    res.status(200).json({
+      success: true,
+      count: notifications.length,
+      data: notifications
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching notifications',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Mark notifications as read, either the given IDs or all of them
+ * @route PUT /api/auth/notifications/read
+ */
+const markNotificationsRead = async (req, res) => {
+  try {
+    const { notificationIds } = req.body;
+
+    const result = await prisma.notification.updateMany({
+      where: {
+        userId: req.user.id,
+        readAt: null,
+        id: Array.isArray(notificationIds) ? { in: notificationIds } : undefined
+      },
+      data: {
+        readAt: new Date()
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Notifications marked as read',
+      count: result.count
+    });
+  } catch (error) {
+    console.error('Mark notifications read error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while marking notifications as read',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getNotifications,
+  markNotificationsRead
+};
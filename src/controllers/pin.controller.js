@@ -0,0 +1,104 @@
+// src/controllers/pin.controller.js
+const { prisma } = require('../config/db');
+const { sendFailure } = require('../utils/failure.util');
+const { PIN_FAILURES, isValidPin, hashPin, verifyPin } = require('../services/pin.service');
+
+/**
+ * Set or change the registration lock PIN
+ * @route PUT /api/auth/pin
+ */
+const setPin = async (req, res) => {
+  try {
+    const { pin, currentPin } = req.body;
+    const user = req.user;
+
+    if (!isValidPin(pin)) {
+      return res.status(400).json({
+        success: false,
+        message: 'PIN must be between 4 and 20 characters'
+      });
+    }
+
+    // Changing an existing PIN requires the current one
+    if (user.pinHash) {
+      const pinCheck = await verifyPin(user, currentPin);
+
+      if (!pinCheck.valid) {
+        return sendFailure(res, PIN_FAILURES, pinCheck);
+      }
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        pinHash: await hashPin(pin),
+        pinFailedAttempts: 0,
+        pinLockoutCount: 0,
+        pinLockedUntil: null
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: user.pinHash ? 'PIN changed successfully' : 'PIN set successfully'
+    });
+  } catch (error) {
+    console.error('Set PIN error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while setting PIN',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Remove the registration lock PIN
+ * @route DELETE /api/auth/pin
+ */
+const removePin = async (req, res) => {
+  try {
+    const { pin } = req.body;
+    const user = req.user;
+
+    if (!user.pinHash) {
+      return res.status(400).json({
+        success: false,
+        message: 'No PIN is set'
+      });
+    }
+
+    const pinCheck = await verifyPin(user, pin);
+
+    if (!pinCheck.valid) {
+      return sendFailure(res, PIN_FAILURES, pinCheck);
+    }
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        pinHash: null,
+        pinFailedAttempts: 0,
+        pinLockoutCount: 0,
+        pinLockedUntil: null
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'PIN removed successfully'
+    });
+  } catch (error) {
+    console.error('Remove PIN error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while removing PIN',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  setPin,
+  removePin
+};
@@ -0,0 +1,138 @@
+// src/controllers/prekey.controller.js
+const { prisma } = require('../config/db');
+const { sendFailure } = require('../utils/failure.util');
+const {
+  PREKEY_FAILURES,
+  PREKEY_LOW_THRESHOLD,
+  uploadPreKeys: storePreKeys,
+  countOneTimePreKeys,
+  fetchPreKeyBundles
+} = require('../services/prekey.service');
+const { isBlocked } = require('../services/block.service');
+
+const OBJECT_ID_PATTERN = /^[a-f0-9]{24}$/;
+
+/**
+ * Upload the current device's identity key, signed prekey and one-time prekeys
+ * @route PUT /api/auth/prekeys
+ */
+const uploadPreKeys = async (req, res) => {
+  try {
+    if (!req.device) {
+      return res.status(400).json({
+        success: false,
+        message: 'This session is not linked to a device'
+      });
+    }
+
+    const { identityKey, signedPreKey, oneTimePreKeys } = req.body;
+
+    const result = await storePreKeys(req.device, { identityKey, signedPreKey, oneTimePreKeys });
+
+    if (!result.stored) {
+      return sendFailure(res, PREKEY_FAILURES, result);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Prekeys uploaded successfully',
+      data: {
+        oneTimePreKeyCount: result.count
+      }
+    });
+  } catch (error) {
+    console.error('Upload prekeys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while uploading prekeys',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * How many one-time prekeys the current device has left, so clients know
+ * when to upload more
+ * @route GET /api/auth/prekeys/count
+ */
+const getPreKeyCount = async (req, res) => {
+  try {
+    if (!req.device) {
+      return res.status(400).json({
+        success: false,
+        message: 'This session is not linked to a device'
+      });
+    }
+
+    const count = await countOneTimePreKeys(req.device.id);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        oneTimePreKeyCount: count,
+        low: count <= PREKEY_LOW_THRESHOLD,
+        threshold: PREKEY_LOW_THRESHOLD
+      }
+    });
+  } catch (error) {
+    console.error('Get prekey count error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while counting prekeys',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Fetch a user's prekey bundles to start a session with each of their
+ * devices. Every call consumes a one-time prekey per device.
+ * @route GET /api/auth/prekeys/:userId
+ */
+const getPreKeyBundles = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!OBJECT_ID_PATTERN.test(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid user ID'
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true }
+    });
+
+    // Users who blocked the requester look like they don't exist, so they
+    // can't be pulled into new encrypted sessions
+    if (!user || await isBlocked(userId, req.user.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const bundles = await fetchPreKeyBundles(userId);
+
+    res.status(200).json({
+      success: true,
+      count: bundles.length,
+      data: bundles
+    });
+  } catch (error) {
+    console.error('Get prekey bundles error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching prekey bundles',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  uploadPreKeys,
+  getPreKeyCount,
+  getPreKeyBundles
+};
@@ -0,0 +1,75 @@
+// src/controllers/privacy.controller.js
+const { prisma } = require('../config/db');
+const { PRIVACY_LEVELS, getPrivacySettings } = require('../utils/privacy.util');
+
+/**
+ * Get the current user's privacy settings
+ * @route GET /api/auth/privacy
+ */
+const getPrivacy = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: getPrivacySettings(req.user)
+    });
+  } catch (error) {
+    console.error('Get privacy settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching privacy settings',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Update the current user's privacy settings
+ * @route PUT /api/auth/privacy
+ */
+const updatePrivacy = async (req, res) => {
+  try {
+    const settings = getPrivacySettings(req.user);
+
+    for (const setting of Object.keys(settings)) {
+      const level = req.body[setting];
+
+      if (level === undefined) {
+        continue;
+      }
+
+      if (!PRIVACY_LEVELS.includes(level)) {
+        return res.status(400).json({
+          success: false,
+          message: `${setting} must be one of: ${PRIVACY_LEVELS.join(', ')}`
+        });
+      }
+
+      settings[setting] = level;
+    }
+
+    const updatedUser = await prisma.user.update({
+      where: { id: req.user.id },
+      data: {
+        privacy: { set: settings }
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Privacy settings updated successfully',
+      data: getPrivacySettings(updatedUser)
+    });
+  } catch (error) {
+    console.error('Update privacy settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating privacy settings',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getPrivacy,
+  updatePrivacy
+};
@@ -0,0 +1,236 @@
+// src/controllers/totp.controller.js
+const { prisma } = require('../config/db');
+const { OTP_FAILURES } = require('../utils/otp.util');
+const { sendFailure } = require('../utils/failure.util');
+const { verifyAuthenticatorCode } = require('../services/twoFactor.service');
+const {
+  generateTOTPSecret,
+  verifyTOTP,
+  buildOtpauthURI,
+  encryptTOTPSecret,
+  decryptTOTPSecret,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} = require('../utils/totp.util');
+
+/**
+ * Start authenticator app enrollment
+ * @route POST /api/auth/2fa/totp/setup
+ */
+const setupTOTP = async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (user.totpEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Authenticator app is already enabled'
+      });
+    }
+
+    const secret = generateTOTPSecret();
+
+    // Kept pending until the user proves their app produces matching codes
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { totpPendingSecret: encryptTOTPSecret(secret) }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Scan the code with your authenticator app and confirm with a code',
+      data: {
+        secret,
+        otpauthUri: buildOtpauthURI(secret, user.phoneNumber)
+      }
+    });
+  } catch (error) {
+    console.error('TOTP setup error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during authenticator setup',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Confirm authenticator app enrollment with a first code
+ * @route POST /api/auth/2fa/totp/confirm
+ */
+const confirmTOTP = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = req.user;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a code'
+      });
+    }
+
+    if (!user.totpPendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Authenticator setup has not been started'
+      });
+    }
+
+    const step = verifyTOTP(decryptTOTPSecret(user.totpPendingSecret), code);
+
+    if (step === null) {
+      return sendFailure(res, OTP_FAILURES, { reason: 'invalid' });
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        totpSecret: user.totpPendingSecret,
+        totpPendingSecret: null,
+        totpEnabled: true,
+        totpLastStep: step,
+        recoveryCodes: recoveryCodes.map(hashRecoveryCode),
+        twoFactorAuth: true,
+        twoFactorType: 'totp'
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Authenticator app enabled. Store your recovery codes somewhere safe',
+      data: {
+        recoveryCodes
+      }
+    });
+  } catch (error) {
+    console.error('TOTP confirm error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error confirming authenticator app',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Disable the authenticator app
+ * @route DELETE /api/auth/2fa/totp
+ */
+const disableTOTP = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = req.user;
+
+    if (!user.totpEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Authenticator app is not enabled'
+      });
+    }
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an authenticator or recovery code'
+      });
+    }
+
+    const codeCheck = await verifyAuthenticatorCode(user, code);
+
+    if (!codeCheck.valid) {
+      return sendFailure(res, OTP_FAILURES, codeCheck);
+    }
+
+    const isPrimaryFactor = user.twoFactorType === 'totp';
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        totpSecret: null,
+        totpPendingSecret: null,
+        totpEnabled: false,
+        totpLastStep: null,
+        recoveryCodes: [],
+        twoFactorAuth: isPrimaryFactor ? false : undefined,
+        twoFactorType: isPrimaryFactor ? null : undefined
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Authenticator app disabled'
+    });
+  } catch (error) {
+    console.error('TOTP disable error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error disabling authenticator app',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Replace all recovery codes with a new set
+ * @route POST /api/auth/2fa/recovery-codes
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = req.user;
+
+    if (!user.totpEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Authenticator app is not enabled'
+      });
+    }
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide an authenticator or recovery code'
+      });
+    }
+
+    const codeCheck = await verifyAuthenticatorCode(user, code);
+
+    if (!codeCheck.valid) {
+      return sendFailure(res, OTP_FAILURES, codeCheck);
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: {
+        recoveryCodes: recoveryCodes.map(hashRecoveryCode)
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Recovery codes regenerated',
+      data: {
+        recoveryCodes
+      }
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error regenerating recovery codes',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  setupTOTP,
+  confirmTOTP,
+  disableTOTP,
+  regenerateRecoveryCodes
+};
@@ -1,5 +1,6 @@
 const { verifyToken } = require('../services/jwt.service');
 const { prisma } = require('../config/db');
+const { isSessionActive } = require('../services/session.service');
 
 /**
  * Middleware to protect routes that require authentication
@@ -22,6 +23,21 @@ const protect = async (req, res, next) => {
     // Verify token
     const decoded = verifyToken(token);
     
+    // Check that the session behind the token has not been revoked
+    const session = decoded.sid
+      ? await prisma.session.findUnique({
+          where: { id: decoded.sid },
+          include: { device: true }
+        })
+      : null;
+    
+    if (!isSessionActive(session) || session.userId !== decoded.id) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has expired or been revoked'
+      });
+    }
+    
     // Check if user exists
     const user = await prisma.user.findUnique({
       where: { id: decoded.id }
@@ -42,6 +58,8 @@ const protect = async (req, res, next) => {
     
     // Set user in request
     req.user = user;
+    req.session = session;
+    req.device = session.device;
     next();
   } catch (error) {
     return res.status(401).json({
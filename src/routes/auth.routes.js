@@ -1,20 +1,92 @@
 // src/routes/auth.routes.js
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const authController = require('../controllers/auth.controller');
+const deviceController = require('../controllers/device.controller');
+const totpController = require('../controllers/totp.controller');
+const pinController = require('../controllers/pin.controller');
+const accountController = require('../controllers/account.controller');
+const notificationController = require('../controllers/notification.controller');
+const privacyController = require('../controllers/privacy.controller');
+const contactController = require('../controllers/contact.controller');
+const blockController = require('../controllers/block.controller');
+const handleController = require('../controllers/handle.controller');
+const keyController = require('../controllers/key.controller');
+const prekeyController = require('../controllers/prekey.controller');
 const { protect } = require('../middlewares/auth.middleware');
 
 const router = express.Router();
 
+// Contact sync is limited per user on top of the global limit to stop enumeration
+const contactSyncLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10, // 10 syncs per window
+  keyGenerator: (req) => req.user.id,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: 'Too many contact syncs, please try again later'
+});
+
+// Every bundle fetch consumes one-time prekeys, so draining someone's pool is limited
+const prekeyFetchLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 60, // 60 fetches per window
+  keyGenerator: (req) => req.user.id,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: 'Too many prekey requests, please try again later'
+});
+
 // Public routes
 router.post('/register', authController.register);
 router.post('/verify', authController.verifyPhone);
+router.post('/2fa/verify', authController.verifySecondFactor);
+router.post('/2fa/resend', authController.resendSecondFactor);
 router.post('/login', authController.login);
+router.post('/refresh', authController.refreshToken);
 
 // Protected routes
 router.get('/profile', protect, authController.getProfile);
 router.put('/profile', protect, authController.updateProfile);
 router.get('/search', protect, authController.searchUsers);
+router.put('/handle', protect, handleController.setHandle);
+router.delete('/handle', protect, handleController.removeHandle);
+router.get('/u/:handle', protect, handleController.lookupHandle);
 router.put('/status', protect, authController.setOnlineStatus);
+router.post('/logout', protect, authController.logout);
+router.get('/sessions', protect, authController.getSessions);
+router.delete('/sessions', protect, authController.revokeOtherSessions);
+router.delete('/sessions/:sessionId', protect, authController.revokeSession);
+router.get('/devices', protect, deviceController.getDevices);
+router.get('/devices/user/:userId', protect, deviceController.getUserDeviceKeys);
+router.put('/devices/:deviceId', protect, deviceController.renameDevice);
+router.delete('/devices/:deviceId', protect, deviceController.unlinkDevice);
+router.post('/2fa/totp/setup', protect, totpController.setupTOTP);
+router.post('/2fa/totp/confirm', protect, totpController.confirmTOTP);
+router.delete('/2fa/totp', protect, totpController.disableTOTP);
+router.post('/2fa/recovery-codes', protect, totpController.regenerateRecoveryCodes);
+router.put('/keys', protect, keyController.rotatePublicKey);
+router.get('/keys/:userId/history', protect, keyController.getKeyHistory);
+router.get('/keys/:userId/safety-number', protect, keyController.getSafetyNumber);
+router.put('/prekeys', protect, prekeyController.uploadPreKeys);
+router.get('/prekeys/count', protect, prekeyController.getPreKeyCount);
+router.get('/prekeys/:userId', protect, prekeyFetchLimiter, prekeyController.getPreKeyBundles);
+router.put('/pin', protect, pinController.setPin);
+router.delete('/pin', protect, pinController.removePin);
+router.post('/change-number', protect, accountController.startNumberChange);
+router.post('/change-number/confirm', protect, accountController.confirmNumberChange);
+router.post('/account/delete-code', protect, accountController.requestAccountDeletion);
+router.delete('/account', protect, accountController.deleteAccount);
+router.get('/export', protect, accountController.exportAccountData);
+router.get('/privacy', protect, privacyController.getPrivacy);
+router.put('/privacy', protect, privacyController.updatePrivacy);
+router.get('/contacts', protect, contactController.getContacts);
+router.post('/contacts/sync', protect, contactSyncLimiter, contactController.syncContacts);
+router.get('/blocked', protect, blockController.getBlockedUsers);
+router.post('/block/:userId', protect, blockController.blockUser);
+router.delete('/block/:userId', protect, blockController.unblockUser);
+router.get('/notifications', protect, notificationController.getNotifications);
+router.put('/notifications/read', protect, notificationController.markNotificationsRead);
 
 module.exports = router;
 
@@ -41,6 +113,8 @@ module.exports = messageRouter;
 // src/routes/group.routes.js
 const express = require('express');
 const groupController = require('../controllers/group.controller');
+const joinRequestController = require('../controllers/joinRequest.controller');
+const groupBanController = require('../controllers/groupBan.controller');
 const { protect } = require('../middlewares/auth.middleware');
 
 const groupRouter = express.Router();
@@ -50,13 +124,33 @@ groupRouter.use(protect);
     
 groupRouter.post('/', groupController.createGroup);
 groupRouter.get('/', groupController.getUserGroups);
+groupRouter.get('/discover', groupController.discoverGroups);
+groupRouter.get('/join-requests', joinRequestController.getMyJoinRequests);
+groupRouter.delete('/join-requests/:requestId', joinRequestController.cancelJoinRequest);
 groupRouter.get('/:groupId', groupController.getGroupDetails);
 groupRouter.put('/:groupId', groupController.updateGroup);
 groupRouter.post('/join', groupController.joinGroup);
+groupRouter.post('/:groupId/join', groupController.joinPublicGroup);
 groupRouter.post('/:groupId/leave', groupController.leaveGroup);
 groupRouter.post('/:groupId/nickname', groupController.setMemberNickname);
+groupRouter.get('/:groupId/join-requests', joinRequestController.getJoinRequests);
+groupRouter.post('/:groupId/join-requests/:requestId/approve', joinRequestController.approveJoinRequest);
+groupRouter.post('/:groupId/join-requests/:requestId/reject', joinRequestController.rejectJoinRequest);
 groupRouter.post('/:groupId/invite', groupController.generateGroupInvite);
+groupRouter.get('/:groupId/invites', groupController.getGroupInvites);
+groupRouter.delete('/:groupId/invites/:inviteId', groupController.revokeGroupInvite);
+groupRouter.post('/:groupId/members', groupController.addMembers);
 groupRouter.delete('/:groupId/members/:memberId', groupController.removeMember);
+groupRouter.post('/:groupId/members/:memberId/promote', groupController.promoteMember);
+groupRouter.post('/:groupId/members/:memberId/demote', groupController.demoteMember);
+groupRouter.post('/:groupId/members/:memberId/mute', groupController.muteMember);
+groupRouter.delete('/:groupId/members/:memberId/mute', groupController.unmuteMember);
+groupRouter.get('/:groupId/bans', groupBanController.getBans);
+groupRouter.post('/:groupId/bans', groupBanController.banUser);
+groupRouter.delete('/:groupId/bans/:userId', groupBanController.unbanUser);
+groupRouter.post('/:groupId/sender-keys', groupController.distributeSenderKey);
+groupRouter.get('/:groupId/sender-keys', groupController.getSenderKeys);
+groupRouter.get('/:groupId/keys', groupController.getGroupMemberKeys);
 groupRouter.post('/:groupId/transfer', groupController.transferOwnership);
 groupRouter.delete('/:groupId', groupController.deleteGroup);
 
@@ -0,0 +1,622 @@
+// src/sdk/index.js
+const {
+  generateKeyPair,
+  generateAESKey,
+  encryptKey,
+  decryptKey,
+  encryptMessage,
+  decryptMessage
+} = require('../utils/encryption.util');
+
+/**
+ * Error thrown for any unsuccessful API response
+ */
+class M2YouError extends Error {
+  /**
+   * @param {string} message - Message returned by the API
+   * @param {number} status - HTTP status code
+   * @param {Object} body - Full response body
+   */
+  constructor(message, status, body = {}) {
+    super(message);
+    this.name = 'M2YouError';
+    this.status = status;
+    this.code = body.code || null;
+    this.body = body;
+  }
+}
+
+/**
+ * Client for the M2You REST API. Message content and media are encrypted
+ * before they leave the client and decrypted after they arrive, using the
+ * RSA/AES-GCM envelope scheme of encryption.util.
+ *
+ * @example
+ * const { M2YouClient } = require('m2you-backend/sdk');
+ * const keys = M2YouClient.generateKeyPair();
+ * const client = new M2YouClient({ baseUrl: 'http://localhost:5000', ...keys });
+ */
+class M2YouClient {
+  /**
+   * @param {Object} options
+   * @param {string} options.baseUrl - Server URL, e.g. http://localhost:5000
+   * @param {string} options.publicKey - This device's public key in PEM format
+   * @param {string} options.privateKey - This device's private key in PEM format
+   * @param {string} [options.accessToken] - Access token of an existing session
+   * @param {string} [options.refreshToken] - Refresh token of an existing session
+   * @param {Function} [options.fetch] - fetch implementation, defaults to the global one
+   */
+  constructor({ baseUrl, publicKey, privateKey, accessToken = null, refreshToken = null, fetch: fetchImpl }) {
+    if (!baseUrl || !publicKey || !privateKey) {
+      throw new Error('baseUrl, publicKey and privateKey are required');
+    }
+
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.publicKey = publicKey;
+    this.privateKey = privateKey;
+    this.accessToken = accessToken;
+    this.refreshToken = refreshToken;
+    this.user = null;
+    this.device = null;
+    this.fetch = fetchImpl || globalThis.fetch;
+
+    // Key epoch this client last distributed a sender key for, per group
+    this.senderKeyEpochs = new Map();
+  }
+
+  /**
+   * Generate a key pair for a new device
+   * @returns {Object} { publicKey, privateKey } in PEM format
+   */
+  static generateKeyPair() {
+    return generateKeyPair();
+  }
+
+  /**
+   * Send a request to the API
+   * @param {string} method - HTTP method
+   * @param {string} path - Path starting with /api
+   * @param {Object} [options] - { body, query, formData, raw, retry }
+   * @returns {Object|string} Parsed JSON body, or the text body when `raw` is set
+   */
+  async request(method, path, { body, query, formData, raw = false, retry = true } = {}) {
+    const url = new URL(this.baseUrl + path);
+
+    for (const [key, value] of Object.entries(query || {})) {
+      if (value !== undefined && value !== null) {
+        url.searchParams.set(key, value);
+      }
+    }
+
+    const headers = {};
+
+    if (this.accessToken) {
+      headers.Authorization = `Bearer ${this.accessToken}`;
+    }
+
+    if (body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+    }
+
+    const response = await this.fetch(url, {
+      method,
+      headers,
+      body: formData || (body !== undefined ? JSON.stringify(body) : undefined)
+    });
+
+    // Access tokens are short-lived, so refresh once and try again
+    if (response.status === 401 && retry && this.refreshToken && path !== '/api/auth/refresh') {
+      await this.refresh();
+      return this.request(method, path, { body, query, formData, raw, retry: false });
+    }
+
+    if (raw && response.ok) {
+      return response.text();
+    }
+
+    const text = await response.text();
+    let data;
+
+    try {
+      data = text ? JSON.parse(text) : {};
+    } catch (error) {
+      data = { message: text };
+    }
+
+    if (!response.ok || data.success === false) {
+      throw new M2YouError(data.message || `Request failed with status ${response.status}`, response.status, data);
+    }
+
+    return data;
+  }
+
+  /**
+   * Remember the tokens of a completed login
+   * @param {Object} data - Response of a login step
+   * @returns {Object} The same response
+   */
+  storeSession(data) {
+    if (data.token) {
+      this.accessToken = data.token;
+      this.refreshToken = data.refreshToken;
+      this.user = data.user || this.user;
+      this.device = data.device || this.device;
+    }
+
+    return data;
+  }
+
+  /**
+   * ID of the logged in user, loaded from the profile when the client was
+   * created from stored tokens
+   * @returns {string} User ID
+   */
+  async currentUserId() {
+    if (!this.user) {
+      this.user = (await this.getProfile()).user;
+    }
+
+    return this.user.id;
+  }
+
+  // Auth
+
+  /**
+   * Register a new account. A verification code is sent to the number.
+   * @param {string} phoneNumber - Phone number in E.164 format
+   * @returns {Object} Response including `userId`
+   */
+  register(phoneNumber) {
+    return this.request('POST', '/api/auth/register', {
+      body: { phoneNumber, publicKey: this.publicKey }
+    });
+  }
+
+  /**
+   * Ask for a login code
+   * @param {string} phoneNumber - Phone number in E.164 format
+   * @returns {Object} Response including `userId` and `pinRequired`
+   */
+  login(phoneNumber) {
+    return this.request('POST', '/api/auth/login', { body: { phoneNumber } });
+  }
+
+  /**
+   * Verify the code sent to the phone, linking this client as a device.
+   * When `twoFactorRequired` is returned, finish with verifySecondFactor.
+   * @param {Object} params - { userId, otp, pin, deviceName, platform }
+   * @returns {Object} Login response
+   */
+  async verify({ userId, otp, pin, deviceName, platform }) {
+    const data = await this.request('POST', '/api/auth/verify', {
+      body: { userId, otp, pin, deviceName, platform, publicKey: this.publicKey }
+    });
+
+    return this.storeSession(data);
+  }
+
+  /**
+   * Complete a login that requires a second factor
+   * @param {string} challengeToken - Token returned by verify
+   * @param {string} code - Code from SMS, email, an authenticator app or a recovery code
+   * @returns {Object} Login response
+   */
+  async verifySecondFactor(challengeToken, code) {
+    const data = await this.request('POST', '/api/auth/2fa/verify', {
+      body: { challengeToken, code }
+    });
+
+    return this.storeSession(data);
+  }
+
+  /**
+   * Exchange the refresh token for a new token pair
+   * @returns {Object} Refresh response
+   */
+  async refresh() {
+    const data = await this.request('POST', '/api/auth/refresh', {
+      body: { refreshToken: this.refreshToken },
+      retry: false
+    });
+
+    return this.storeSession(data);
+  }
+
+  /**
+   * End the current session
+   */
+  async logout() {
+    await this.request('POST', '/api/auth/logout');
+    this.accessToken = null;
+    this.refreshToken = null;
+  }
+
+  getProfile() {
+    return this.request('GET', '/api/auth/profile');
+  }
+
+  updateProfile(profile) {
+    return this.request('PUT', '/api/auth/profile', { body: profile });
+  }
+
+  searchUsers(query) {
+    return this.request('GET', '/api/auth/search', { query: { query } });
+  }
+
+  lookupHandle(handle) {
+    return this.request('GET', `/api/auth/u/${encodeURIComponent(handle.replace(/^@/, ''))}`);
+  }
+
+  // Encryption
+
+  /**
+   * Encrypt media with a message key and upload it
+   * @param {Buffer} aesKey - Message key
+   * @param {Object} media - { data: Buffer, filename, mimeType, expiresIn }
+   * @returns {Object} Uploaded media details, including `uri`
+   */
+  async uploadEncryptedMedia(aesKey, { data, filename, mimeType, expiresIn }) {
+    // encryptMessage works on strings, so the bytes are carried as base64
+    const encrypted = encryptMessage(Buffer.from(data).toString('base64'), aesKey);
+
+    const formData = new FormData();
+    formData.append('file', new Blob([encrypted], { type: mimeType || 'application/octet-stream' }), filename || 'media');
+
+    if (expiresIn) {
+      formData.append('expiresIn', String(expiresIn));
+    }
+
+    const response = await this.request('POST', '/api/media/upload', { formData });
+    return response.data;
+  }
+
+  /**
+   * Decrypt a message's content with this device's private key. Messages
+   * that can't be decrypted are returned with `decryptionFailed` set.
+   * @param {Object} message - Message as returned by the API
+   * @returns {Object} Message with plaintext `content`
+   */
+  decryptIncoming(message) {
+    if (!message.encryptedKey) {
+      return { ...message, decryptionFailed: true };
+    }
+
+    try {
+      const aesKey = decryptKey(message.encryptedKey, this.privateKey);
+      return { ...message, content: decryptMessage(message.content, aesKey) };
+    } catch (error) {
+      return { ...message, decryptionFailed: true };
+    }
+  }
+
+  /**
+   * Download and decrypt the media attached to a message
+   * @param {Object} message - Message with `mediaUrl` and `encryptedKey`
+   * @returns {Buffer} Decrypted media
+   */
+  async downloadMedia(message) {
+    const aesKey = decryptKey(message.encryptedKey, this.privateKey);
+    const encrypted = await this.request('GET', message.mediaUrl, { raw: true });
+
+    return Buffer.from(decryptMessage(encrypted, aesKey), 'base64');
+  }
+
+  // Messages
+
+  /**
+   * Send an encrypted direct message. The message key is wrapped for every
+   * device of the receiver and of the current user.
+   * @param {string} receiver - User ID or "@handle"
+   * @param {string} text - Plaintext content
+   * @param {Object} [options] - { media, expiresAt }
+   * @returns {Object} Stored message
+   */
+  async sendMessage(receiver, text, { media, expiresAt } = {}) {
+    const receiverId = receiver.startsWith('@')
+      ? (await this.lookupHandle(receiver)).data.id
+      : receiver;
+
+    const userId = await this.currentUserId();
+
+    const [receiverDevices, ownDevices] = await Promise.all([
+      this.request('GET', `/api/auth/devices/user/${receiverId}`),
+      this.request('GET', `/api/auth/devices/user/${userId}`)
+    ]);
+
+    if (receiverDevices.data.length === 0) {
+      throw new M2YouError('The receiver has no linked devices', 409);
+    }
+
+    const aesKey = generateAESKey();
+    const encryptedKeys = {};
+
+    for (const device of [...receiverDevices.data, ...ownDevices.data]) {
+      encryptedKeys[device.id] = encryptKey(aesKey, device.publicKey);
+    }
+
+    const uploaded = media ? await this.uploadEncryptedMedia(aesKey, media) : null;
+
+    const response = await this.request('POST', '/api/messages', {
+      body: {
+        receiverId,
+        content: encryptMessage(text, aesKey),
+        encryptedKeys,
+        mediaUrl: uploaded ? uploaded.uri : undefined,
+        mediaType: uploaded ? uploaded.mediaType : undefined,
+        expiresAt
+      }
+    });
+
+    return response.data;
+  }
+
+  /**
+   * Get the conversation with a user, decrypted
+   * @param {string} userId - Other user's ID
+   * @returns {Object[]} Messages
+   */
+  async getMessages(userId) {
+    const response = await this.request('GET', `/api/messages/user/${userId}`);
+    return response.data.map(message => this.decryptIncoming(message));
+  }
+
+  /**
+   * Distribute a fresh sender key for the group's current key epoch if this
+   * client hasn't done so yet
+   * @param {string} groupId - Group ID
+   * @param {Object} groupKeys - Response data of GET /api/groups/:groupId/keys
+   */
+  async ensureSenderKey(groupId, groupKeys) {
+    if (this.senderKeyEpochs.get(groupId) === groupKeys.keyEpoch) {
+      return;
+    }
+
+    const userId = await this.currentUserId();
+    const senderKey = generateAESKey();
+    const encryptedKeys = {};
+
+    for (const member of groupKeys.members) {
+      if (member.id !== userId) {
+        encryptedKeys[member.id] = encryptKey(senderKey, member.publicKey);
+      }
+    }
+
+    await this.request('POST', `/api/groups/${groupId}/sender-keys`, {
+      body: { epoch: groupKeys.keyEpoch, encryptedKeys }
+    });
+
+    this.senderKeyEpochs.set(groupId, groupKeys.keyEpoch);
+  }
+
+  /**
+   * Send an encrypted group message. The message key is wrapped for every
+   * member, and a new sender key is distributed first whenever the group has
+   * been rekeyed.
+   * @param {string} groupId - Group ID
+   * @param {string} text - Plaintext content
+   * @param {Object} [options] - { media, expiresAt, isAnonymous }
+   * @returns {Object} Stored message
+   */
+  async sendGroupMessage(groupId, text, { media, expiresAt, isAnonymous } = {}, retry = true) {
+    const groupKeys = (await this.request('GET', `/api/groups/${groupId}/keys`)).data;
+
+    await this.ensureSenderKey(groupId, groupKeys);
+
+    const aesKey = generateAESKey();
+    const encryptedKeys = {};
+
+    for (const member of groupKeys.members) {
+      encryptedKeys[member.id] = encryptKey(aesKey, member.publicKey);
+    }
+
+    const uploaded = media ? await this.uploadEncryptedMedia(aesKey, media) : null;
+
+    try {
+      const response = await this.request('POST', '/api/messages', {
+        body: {
+          groupId,
+          content: encryptMessage(text, aesKey),
+          encryptedKeys,
+          keyEpoch: groupKeys.keyEpoch,
+          mediaUrl: uploaded ? uploaded.uri : undefined,
+          mediaType: uploaded ? uploaded.mediaType : undefined,
+          expiresAt,
+          isAnonymous
+        }
+      });
+
+      return response.data;
+    } catch (error) {
+      // Membership changed between reading the keys and sending, so start over
+      if (retry && error.status === 409) {
+        this.senderKeyEpochs.delete(groupId);
+        return this.sendGroupMessage(groupId, text, { media, expiresAt, isAnonymous }, false);
+      }
+
+      throw error;
+    }
+  }
+
+  /**
+   * Get a group's messages, decrypted
+   * @param {string} groupId - Group ID
+   * @returns {Object[]} Messages
+   */
+  async getGroupMessages(groupId) {
+    const response = await this.request('GET', `/api/messages/group/${groupId}`);
+    return response.data.map(message => this.decryptIncoming(message));
+  }
+
+  markRead(messageId) {
+    return this.request('PUT', `/api/messages/read/${messageId}`);
+  }
+
+  deleteMessage(messageId) {
+    return this.request('DELETE', `/api/messages/${messageId}`);
+  }
+
+  addReaction(messageId, emoji) {
+    return this.request('POST', `/api/messages/reaction/${messageId}`, { body: { emoji } });
+  }
+
+  removeReaction(messageId) {
+    return this.request('DELETE', `/api/messages/reaction/${messageId}`);
+  }
+
+  // Groups
+
+  createGroup(group) {
+    return this.request('POST', '/api/groups', { body: group });
+  }
+
+  getGroups() {
+    return this.request('GET', '/api/groups');
+  }
+
+  /**
+   * Browse public groups
+   * @param {Object} [filters] - { q, category, tag, page, limit }
+   * @returns {Object} Page of groups
+   */
+  discoverGroups(filters = {}) {
+    return this.request('GET', '/api/groups/discover', { query: filters });
+  }
+
+  joinPublicGroup(groupId) {
+    return this.request('POST', `/api/groups/${groupId}/join`);
+  }
+
+  getGroup(groupId) {
+    return this.request('GET', `/api/groups/${groupId}`);
+  }
+
+  updateGroup(groupId, settings) {
+    return this.request('PUT', `/api/groups/${groupId}`, { body: settings });
+  }
+
+  /**
+   * Join a group with an invite code. Private groups answer with a pending
+   * join request instead, which needs `answer` when the group asks a question.
+   * @param {string} inviteCode - Invite code
+   * @param {string} [answer] - Answer to the group's join question
+   * @returns {Object} Join response
+   */
+  joinGroup(inviteCode, answer) {
+    return this.request('POST', '/api/groups/join', { body: { inviteCode, answer } });
+  }
+
+  getMyJoinRequests() {
+    return this.request('GET', '/api/groups/join-requests');
+  }
+
+  cancelJoinRequest(requestId) {
+    return this.request('DELETE', `/api/groups/join-requests/${requestId}`);
+  }
+
+  getJoinRequests(groupId) {
+    return this.request('GET', `/api/groups/${groupId}/join-requests`);
+  }
+
+  approveJoinRequest(groupId, requestId) {
+    return this.request('POST', `/api/groups/${groupId}/join-requests/${requestId}/approve`);
+  }
+
+  rejectJoinRequest(groupId, requestId) {
+    return this.request('POST', `/api/groups/${groupId}/join-requests/${requestId}/reject`);
+  }
+
+  leaveGroup(groupId) {
+    return this.request('POST', `/api/groups/${groupId}/leave`);
+  }
+
+  /**
+   * Create an invite, or several with { invites: [...] }
+   * @param {string} groupId - Group ID
+   * @param {Object} [options] - { name, expiresIn, maxUses, requiresApproval }
+   */
+  createInvite(groupId, options = {}) {
+    return this.request('POST', `/api/groups/${groupId}/invite`, { body: options });
+  }
+
+  getInvites(groupId) {
+    return this.request('GET', `/api/groups/${groupId}/invites`);
+  }
+
+  revokeInvite(groupId, inviteId) {
+    return this.request('DELETE', `/api/groups/${groupId}/invites/${inviteId}`);
+  }
+
+  /**
+   * Add people to a group as an admin. Numbers without an account are
+   * invited by SMS.
+   * @param {string} groupId - Group ID
+   * @param {Object} members - { userIds, phoneNumbers }
+   */
+  addMembers(groupId, { userIds, phoneNumbers } = {}) {
+    return this.request('POST', `/api/groups/${groupId}/members`, { body: { userIds, phoneNumbers } });
+  }
+
+  removeMember(groupId, memberId) {
+    return this.request('DELETE', `/api/groups/${groupId}/members/${memberId}`);
+  }
+
+  /**
+   * Mute a member so they can read but not send or react
+   * @param {string} groupId - Group ID
+   * @param {string} memberId - Member to mute
+   * @param {number} duration - Seconds the mute lasts
+   * @param {string} [reason] - Reason shown to the member
+   */
+  muteMember(groupId, memberId, duration, reason) {
+    return this.request('POST', `/api/groups/${groupId}/members/${memberId}/mute`, { body: { duration, reason } });
+  }
+
+  unmuteMember(groupId, memberId) {
+    return this.request('DELETE', `/api/groups/${groupId}/members/${memberId}/mute`);
+  }
+
+  /**
+   * Ban a user from a group, removing them if they are a member
+   * @param {string} groupId - Group ID
+   * @param {string} userId - User to ban
+   * @param {Object} [options] - { reason, expiresIn (seconds) }
+   */
+  banUser(groupId, userId, { reason, expiresIn } = {}) {
+    return this.request('POST', `/api/groups/${groupId}/bans`, { body: { userId, reason, expiresIn } });
+  }
+
+  getBans(groupId) {
+    return this.request('GET', `/api/groups/${groupId}/bans`);
+  }
+
+  unbanUser(groupId, userId) {
+    return this.request('DELETE', `/api/groups/${groupId}/bans/${userId}`);
+  }
+
+  promoteMember(groupId, memberId, role) {
+    return this.request('POST', `/api/groups/${groupId}/members/${memberId}/promote`, { body: { role } });
+  }
+
+  demoteMember(groupId, memberId, role) {
+    return this.request('POST', `/api/groups/${groupId}/members/${memberId}/demote`, { body: { role } });
+  }
+
+  transferOwnership(groupId, newAdminId) {
+    return this.request('POST', `/api/groups/${groupId}/transfer`, { body: { newAdminId } });
+  }
+
+  deleteGroup(groupId) {
+    return this.request('DELETE', `/api/groups/${groupId}`);
+  }
+
+  // Media
+
+  deleteMedia(filename) {
+    return this.request('DELETE', `/api/media/${filename}`);
+  }
+}
+
+module.exports = {
+  M2YouClient,
+  M2YouError
+};
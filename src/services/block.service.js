@@ -0,0 +1,21 @@
+const { prisma } = require('../config/db');
+
+/**
+ * Check whether one user has blocked another
+ * @param {string} blockerId - User who may have blocked
+ * @param {string} blockedId - User who may be blocked
+ * @returns {boolean} Whether the block exists
+ */
+const isBlocked = async (blockerId, blockedId) => {
+    const block = await prisma.block.findUnique({
+        where: {
+            blockerId_blockedId: { blockerId, blockedId }
+        }
+    });
+
+    return Boolean(block);
+};
+
+module.exports = {
+    isBlocked
+};
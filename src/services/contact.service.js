@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const { prisma } = require('../config/db');
+
+// New phone numbers a user may look up per day, through contact sync or otherwise
+const DISCOVERY_DAILY_LIMIT = parseInt(process.env.CONTACT_DISCOVERY_DAILY_LIMIT || '10000');
+const DISCOVERY_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Hash a phone number the way clients hash their address books
+ * @param {string} phoneNumber - Phone number in E.164 format
+ * @returns {string} Hex encoded SHA-256 digest
+ */
+const hashPhoneNumber = (phoneNumber) => {
+    return crypto.createHash('sha256').update(phoneNumber).digest('hex');
+};
+
+/**
+ * IDs of the users someone has sent direct messages to. Only the sender's
+ * side counts, so messaging someone never makes you one of their contacts.
+ * @param {string} userId - User ID
+ * @returns {string[]} IDs of the users messaged
+ */
+const getMessagedUserIds = async (userId) => {
+    const messages = await prisma.message.findMany({
+        where: {
+            senderId: userId,
+            receiverId: { not: null }
+        },
+        select: { receiverId: true },
+        distinct: ['receiverId']
+    });
+
+    return messages.map(message => message.receiverId);
+};
+
+/**
+ * IDs of the users who have sent someone direct messages
+ * @param {string} userId - User ID
+ * @returns {string[]} IDs of the senders
+ */
+const getMessagedByIds = async (userId) => {
+    const messages = await prisma.message.findMany({
+        where: { receiverId: userId },
+        select: { senderId: true },
+        distinct: ['senderId']
+    });
+
+    // Messages of deleted accounts have no sender
+    return messages.map(message => message.senderId).filter(Boolean);
+};
+
+/**
+ * IDs of someone's contacts: people found in their address book and people
+ * they have sent direct messages to
+ * @param {string} userId - User ID
+ * @returns {string[]} Contact IDs
+ */
+const getContactIds = async (userId) => {
+    const [messagedIds, contacts] = await Promise.all([
+        getMessagedUserIds(userId),
+        prisma.contact.findMany({
+            where: { ownerId: userId },
+            select: { contactId: true }
+        })
+    ]);
+
+    return [...new Set([...messagedIds, ...contacts.map(contact => contact.contactId)])];
+};
+
+/**
+ * IDs of the users who count someone as one of their contacts, which decides
+ * what "contacts only" privacy settings reveal to them. That takes the owner
+ * adding them to their address book or messaging them first; being messaged
+ * by someone doesn't make them a contact.
+ * @param {string} userId - User ID
+ * @returns {string[]} IDs of users who have the user as a contact
+ */
+const getContactOfIds = async (userId) => {
+    const [messagedByIds, contacts] = await Promise.all([
+        getMessagedByIds(userId),
+        prisma.contact.findMany({
+            where: { contactId: userId },
+            select: { ownerId: true }
+        })
+    ]);
+
+    return [...new Set([...messagedByIds, ...contacts.map(contact => contact.ownerId)])];
+};
+
+/**
+ * IDs of everyone sharing at least one group with the user
+ * @param {string} userId - User ID
+ * @returns {string[]} Co-member IDs
+ */
+const getGroupCoMemberIds = async (userId) => {
+    const groups = await prisma.group.findMany({
+        where: {
+            memberIds: { has: userId }
+        },
+        select: {
+            memberIds: true
+        }
+    });
+
+    const memberIds = new Set(groups.flatMap(group => group.memberIds));
+    memberIds.delete(userId);
+
+    return [...memberIds];
+};
+
+/**
+ * IDs of everyone who should hear about changes to the user's account:
+ * their contacts, the people who have them as a contact and group co-members
+ * @param {string} userId - User ID
+ * @returns {string[]} Related user IDs
+ */
+const getRelatedUserIds = async (userId) => {
+    const [contactIds, contactOfIds, coMemberIds] = await Promise.all([
+        getContactIds(userId),
+        getContactOfIds(userId),
+        getGroupCoMemberIds(userId)
+    ]);
+
+    return [...new Set([...contactIds, ...contactOfIds, ...coMemberIds])];
+};
+
+/**
+ * Everything needed to apply other users' privacy settings for a viewer
+ * @param {string} viewerId - ID of the user the data is sent to
+ * @returns {Object} { contactOfIds, blockedByIds } as sets of user IDs
+ */
+const getVisibilityContext = async (viewerId) => {
+    const [contactOfIds, blocks] = await Promise.all([
+        getContactOfIds(viewerId),
+        prisma.block.findMany({
+            where: { blockedId: viewerId },
+            select: { blockerId: true }
+        })
+    ]);
+
+    return {
+        contactOfIds: new Set(contactOfIds),
+        blockedByIds: new Set(blocks.map(block => block.blockerId))
+    };
+};
+
+/**
+ * Count phone number lookups against a user's daily discovery quota. The
+ * check and the increase are one conditional update, so parallel requests
+ * can't exceed the limit together.
+ * @param {string} userId - User looking numbers up
+ * @param {number} count - Numbers being looked up
+ * @returns {Object} { allowed } or { allowed: false, retryAfter }
+ */
+const claimDiscoveryQuota = async (userId, count) => {
+    if (count === 0) {
+        return { allowed: true };
+    }
+
+    // Start a new window once the previous one has ended. Accounts created
+    // before the quota existed have no window yet.
+    await prisma.user.updateMany({
+        where: {
+            id: userId,
+            OR: [
+                { discoveryQuotaResetAt: null },
+                { discoveryQuotaResetAt: { isSet: false } },
+                { discoveryQuotaResetAt: { lte: new Date() } }
+            ]
+        },
+        data: {
+            discoveryQuotaUsed: 0,
+            discoveryQuotaResetAt: new Date(Date.now() + DISCOVERY_WINDOW_MS)
+        }
+    });
+
+    const claim = await prisma.user.updateMany({
+        where: {
+            id: userId,
+            discoveryQuotaUsed: { lte: DISCOVERY_DAILY_LIMIT - count }
+        },
+        data: { discoveryQuotaUsed: { increment: count } }
+    });
+
+    if (claim.count === 1) {
+        return { allowed: true };
+    }
+
+    const { discoveryQuotaResetAt } = await prisma.user.findUnique({
+        where: { id: userId },
+        select: { discoveryQuotaResetAt: true }
+    });
+
+    return {
+        allowed: false,
+        retryAfter: Math.max(0, Math.ceil((discoveryQuotaResetAt.getTime() - Date.now()) / 1000))
+    };
+};
+
+module.exports = {
+    hashPhoneNumber,
+    claimDiscoveryQuota,
+    getContactIds,
+    getContactOfIds,
+    getGroupCoMemberIds,
+    getRelatedUserIds,
+    getVisibilityContext
+};
@@ -0,0 +1,44 @@
+const fs = require('fs');
+const { renderTemplate, resolveTemplate } = require('./template');
+
+const DEFAULT_TEMPLATES = {
+    otp: 'Your M2You verification code is {{code}}. This code will expire in {{minutes}} minutes.',
+    group_invite: '{{inviter}} invited you to join "{{group}}" on M2You. Sign up with this number within {{days}} days to join automatically.'
+};
+
+/**
+ * Create a stand-in provider for local development and automated tests.
+ * Messages are printed to the console and, when DELIVERY_LOG_FILE is set,
+ * appended to that file as JSON lines so tests can read the codes back.
+ * Only used when selected with SMS_PROVIDER=console or EMAIL_PROVIDER=console.
+ * @param {string} channel - Channel the provider stands in for ("sms" or "email")
+ * @returns {Object} Delivery provider
+ */
+const createConsoleProvider = (channel) => {
+    const logFile = process.env.DELIVERY_LOG_FILE;
+
+    return {
+        name: 'console',
+        channel,
+
+        /**
+         * Record a templated message instead of sending it
+         * @param {Object} options - { to, template, variables }
+         * @returns {Object} Delivery result
+         */
+        send: async ({ to, template, variables }) => {
+            const body = renderTemplate(resolveTemplate('CONSOLE', DEFAULT_TEMPLATES, template), variables);
+
+            console.log(`[${channel} -> ${to}] ${body}`);
+
+            if (logFile) {
+                const entry = { channel, to, template, variables, body, sentAt: new Date().toISOString() };
+                await fs.promises.appendFile(logFile, `${JSON.stringify(entry)}\n`);
+            }
+
+            return { delivered: true };
+        }
+    };
+};
+
+module.exports = { createConsoleProvider };
@@ -0,0 +1,87 @@
+const { createTwilioProvider } = require('./twilio.provider');
+const { createSmtpProvider } = require('./smtp.provider');
+const { createConsoleProvider } = require('./console.provider');
+
+// Provider factories available for each channel
+const PROVIDERS = {
+    sms: {
+        twilio: createTwilioProvider,
+        console: () => createConsoleProvider('sms')
+    },
+    email: {
+        smtp: createSmtpProvider,
+        console: () => createConsoleProvider('email')
+    }
+};
+
+// The console stand-in is never picked implicitly, it has to be selected with
+// SMS_PROVIDER=console or EMAIL_PROVIDER=console
+const DEFAULT_PROVIDERS = {
+    sms: 'twilio',
+    email: 'smtp'
+};
+
+const providerCache = {};
+
+/**
+ * Get the configured provider for a channel. Selected with SMS_PROVIDER and
+ * EMAIL_PROVIDER (Twilio and SMTP by default), and created on first use.
+ * @param {string} channel - "sms" or "email"
+ * @returns {Object} Delivery provider
+ */
+const getProvider = (channel) => {
+    if (!PROVIDERS[channel]) {
+        throw new Error(`Unknown delivery channel: ${channel}`);
+    }
+
+    if (!providerCache[channel]) {
+        const name = process.env[`${channel.toUpperCase()}_PROVIDER`] || DEFAULT_PROVIDERS[channel];
+        const factory = PROVIDERS[channel][name];
+
+        if (!factory) {
+            throw new Error(`Unknown ${channel} provider: ${name}`);
+        }
+
+        // Codes written to the logs must never pass for delivered in production
+        if (name === 'console' && process.env.NODE_ENV === 'production') {
+            throw new Error(`The console ${channel} provider cannot be used in production`);
+        }
+
+        providerCache[channel] = factory();
+    }
+
+    return providerCache[channel];
+};
+
+/**
+ * Deliver a templated message through the channel's provider
+ * @param {string} channel - "sms" or "email"
+ * @param {string} to - Phone number or email address
+ * @param {string} template - Template name, e.g. "otp"
+ * @param {Object} variables - Template variables
+ * @returns {Object} { delivered: true, provider, id } or { delivered: false, provider, error }
+ */
+const deliver = async (channel, to, template, variables) => {
+    let provider;
+
+    try {
+        provider = getProvider(channel);
+        const result = await provider.send({ to, template, variables });
+
+        if (!result.delivered) {
+            console.error(`Delivery via ${provider.name} failed: ${result.error}`);
+        }
+
+        return { provider: provider.name, ...result };
+    } catch (error) {
+        const providerName = provider ? provider.name : 'unknown';
+        console.error(`Delivery via ${providerName} failed: ${error.message}`);
+
+        return { delivered: false, provider: providerName, error: error.message };
+    }
+};
+
+module.exports = {
+    getProvider,
+    deliver
+};
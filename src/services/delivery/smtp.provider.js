@@ -0,0 +1,60 @@
+const { renderTemplate, resolveTemplate } = require('./template');
+
+const DEFAULT_TEMPLATES = {
+    otp: 'Your M2You verification code is {{code}}. This code will expire in {{minutes}} minutes.'
+};
+
+const DEFAULT_SUBJECTS = {
+    otp: 'Your M2You verification code'
+};
+
+/**
+ * Create an email provider that sends through an SMTP server
+ * @returns {Object} Delivery provider
+ */
+const createSmtpProvider = () => {
+    const { SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASSWORD, SMTP_FROM } = process.env;
+
+    if (!SMTP_HOST || !SMTP_FROM) {
+        throw new Error('SMTP provider requires SMTP_HOST and SMTP_FROM');
+    }
+
+    // Loaded lazily so the dependency is only needed when SMTP is selected
+    const nodemailer = require('nodemailer');
+    const transporter = nodemailer.createTransport({
+        host: SMTP_HOST,
+        port: parseInt(SMTP_PORT || '587'),
+        secure: SMTP_SECURE === 'true',
+        auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASSWORD } : undefined
+    });
+
+    return {
+        name: 'smtp',
+        channel: 'email',
+
+        /**
+         * Send a templated email
+         * @param {Object} options - { to, template, variables }
+         * @returns {Object} Delivery result
+         */
+        send: async ({ to, template, variables }) => {
+            const subject = process.env[`SMTP_SUBJECT_${template.toUpperCase()}`] || DEFAULT_SUBJECTS[template] || 'M2You';
+            const text = renderTemplate(resolveTemplate('SMTP', DEFAULT_TEMPLATES, template), variables);
+
+            const info = await transporter.sendMail({
+                from: SMTP_FROM,
+                to,
+                subject: renderTemplate(subject, variables),
+                text
+            });
+
+            if (info.rejected && info.rejected.length > 0) {
+                return { delivered: false, error: `Rejected recipients: ${info.rejected.join(', ')}` };
+            }
+
+            return { delivered: true, id: info.messageId };
+        }
+    };
+};
+
+module.exports = { createSmtpProvider };
@@ -0,0 +1,38 @@
+/**
+ * Fill "{{name}}" placeholders of a message template
+ * @param {string} template - Template text
+ * @param {Object} variables - Values keyed by placeholder name
+ * @returns {string} Rendered text
+ */
+const renderTemplate = (template, variables = {}) => {
+    return template.replace(/{{\s*(\w+)\s*}}/g, (match, name) => {
+        return variables[name] !== undefined ? String(variables[name]) : match;
+    });
+};
+
+/**
+ * Resolve a provider's template, letting the environment override the default.
+ * Overrides are read from <PREFIX>_TEMPLATE_<NAME>, e.g. TWILIO_TEMPLATE_OTP.
+ * @param {string} prefix - Provider's environment prefix
+ * @param {Object} defaults - Default templates keyed by name
+ * @param {string} name - Template name
+ * @returns {string} Template text
+ */
+const resolveTemplate = (prefix, defaults, name) => {
+    const override = process.env[`${prefix}_TEMPLATE_${name.toUpperCase()}`];
+
+    if (override) {
+        return override;
+    }
+
+    if (!defaults[name]) {
+        throw new Error(`Unknown message template: ${name}`);
+    }
+
+    return defaults[name];
+};
+
+module.exports = {
+    renderTemplate,
+    resolveTemplate
+};
@@ -0,0 +1,46 @@
+const { renderTemplate, resolveTemplate } = require('./template');
+
+const DEFAULT_TEMPLATES = {
+    otp: 'Your M2You verification code is {{code}}. This code will expire in {{minutes}} minutes.',
+    group_invite: '{{inviter}} invited you to join "{{group}}" on M2You. Sign up with this number within {{days}} days to join automatically.'
+};
+
+/**
+ * Create an SMS provider backed by Twilio
+ * @returns {Object} Delivery provider
+ */
+const createTwilioProvider = () => {
+    const { TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_PHONE_NUMBER } = process.env;
+
+    if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !TWILIO_PHONE_NUMBER) {
+        throw new Error('Twilio provider requires TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_PHONE_NUMBER');
+    }
+
+    // Loaded lazily so the dependency is only needed when Twilio is selected
+    const twilio = require('twilio');
+    const client = twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN);
+
+    return {
+        name: 'twilio',
+        channel: 'sms',
+
+        /**
+         * Send a templated SMS
+         * @param {Object} options - { to, template, variables }
+         * @returns {Object} Delivery result
+         */
+        send: async ({ to, template, variables }) => {
+            const body = renderTemplate(resolveTemplate('TWILIO', DEFAULT_TEMPLATES, template), variables);
+
+            const message = await client.messages.create({
+                body,
+                from: TWILIO_PHONE_NUMBER,
+                to
+            });
+
+            return { delivered: true, id: message.sid };
+        }
+    };
+};
+
+module.exports = { createTwilioProvider };
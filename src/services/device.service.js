@@ -0,0 +1,80 @@
+const { prisma } = require('../config/db');
+
+/**
+ * Responses for each way registering a login's device can fail
+ */
+const DEVICE_FAILURES = {
+    key_required: {
+        status: 400,
+        code: 'DEVICE_KEY_REQUIRED',
+        message: 'Please provide the public key of this device'
+    }
+};
+
+/**
+ * Whether a login has to bring its own device key. Only the first device
+ * may reuse the key submitted at registration.
+ * @param {Object} user - User logging in
+ * @param {string} [publicKey] - Device key submitted by the client
+ * @returns {boolean} Whether the login must be refused for lack of a key
+ */
+const isDeviceKeyRequired = async (user, publicKey) => {
+    if (publicKey) {
+        return false;
+    }
+
+    return await prisma.device.count({ where: { userId: user.id } }) > 0;
+};
+
+/**
+ * Find or register the device a login was completed from. Devices are
+ * identified by their public key, so logging in again from the same device
+ * reuses its record instead of adding another one.
+ * @param {Object} user - Authenticated user
+ * @param {Object} deviceInfo - { deviceName, platform, publicKey } submitted by the client
+ * @returns {Object} { device, isNew }, or { reason } where reason is a key of DEVICE_FAILURES
+ */
+const registerLoginDevice = async (user, { deviceName, platform, publicKey } = {}) => {
+    const devices = await prisma.device.findMany({
+        where: { userId: user.id },
+        select: { id: true, publicKey: true }
+    });
+
+    const devicePublicKey = publicKey || (devices.length === 0 ? user.publicKey : null);
+
+    if (!devicePublicKey) {
+        return { reason: 'key_required' };
+    }
+
+    const existingDevice = devices.find(device => device.publicKey === devicePublicKey);
+
+    if (existingDevice) {
+        const device = await prisma.device.update({
+            where: { id: existingDevice.id },
+            data: {
+                name: deviceName || undefined,
+                platform: platform || undefined,
+                lastActiveAt: new Date()
+            }
+        });
+
+        return { device, isNew: false };
+    }
+
+    const device = await prisma.device.create({
+        data: {
+            userId: user.id,
+            name: deviceName || 'Unnamed device',
+            platform: platform || null,
+            publicKey: devicePublicKey
+        }
+    });
+
+    return { device, isNew: true };
+};
+
+module.exports = {
+    DEVICE_FAILURES,
+    isDeviceKeyRequired,
+    registerLoginDevice
+};
@@ -0,0 +1,705 @@
+const crypto = require('crypto');
+const { prisma } = require('../config/db');
+const { publishEvent } = require('./notification.service');
+const { getContactIds } = require('./contact.service');
+const { isBlocked } = require('./block.service');
+const { hasGroupPermission } = require('../utils/groupRole.util');
+const { getPrivacySettings, isVisibleTo } = require('../utils/privacy.util');
+const { canSendGroupInvite, sendGroupInviteViaSMS } = require('../utils/otp.util');
+
+// Categories public groups can be listed under in the directory
+const GROUP_CATEGORIES = [
+    'community',
+    'education',
+    'entertainment',
+    'gaming',
+    'health',
+    'hobbies',
+    'local',
+    'music',
+    'news',
+    'sports',
+    'technology',
+    'travel',
+    'work',
+    'other'
+];
+
+const MAX_GROUP_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+
+// Invites last 7 days unless another lifetime is chosen, and at most a year
+const DEFAULT_INVITE_EXPIRY_SECONDS = 7 * 24 * 60 * 60;
+const MAX_INVITE_EXPIRY_SECONDS = 365 * 24 * 60 * 60;
+
+// How long an SMS invitation to an unregistered number stays claimable
+const PENDING_INVITE_EXPIRY_DAYS = 30;
+
+/**
+ * Responses for each way posting in a group can be refused
+ */
+const GROUP_POSTING_FAILURES = {
+    announcement_only: {
+        status: 403,
+        code: 'GROUP_ANNOUNCEMENT_ONLY',
+        message: 'Only group admins can send messages in this group'
+    },
+    muted: {
+        status: 403,
+        code: 'GROUP_MEMBER_MUTED',
+        message: 'You are muted in this group'
+    }
+};
+
+/**
+ * Responses for each way a join request can fail
+ */
+const JOIN_REQUEST_FAILURES = {
+    answer_required: {
+        status: 400,
+        code: 'JOIN_ANSWER_REQUIRED',
+        message: 'This group asks a question before you can request to join'
+    },
+    pending: {
+        status: 409,
+        code: 'JOIN_REQUEST_PENDING',
+        message: 'You already have a pending request to join this group'
+    },
+    invite_unavailable: {
+        status: 400,
+        code: 'INVITE_UNAVAILABLE',
+        message: 'Invalid or expired invite code'
+    },
+    banned: {
+        status: 403,
+        code: 'GROUP_BANNED',
+        message: 'You are banned from this group'
+    }
+};
+
+/**
+ * Clean up tags for storage: lowercase, without "#", no duplicates
+ * @param {string[]} tags - Tags as entered by an admin
+ * @returns {string[]|null} Normalized tags, or null if they aren't valid
+ */
+const normalizeTags = (tags) => {
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+        return null;
+    }
+
+    const normalized = [...new Set(
+        tags
+            .map(tag => tag.trim().replace(/^#/, '').toLowerCase())
+            .filter(Boolean)
+    )];
+
+    if (normalized.length > MAX_GROUP_TAGS || normalized.some(tag => tag.length > MAX_TAG_LENGTH)) {
+        return null;
+    }
+
+    return normalized;
+};
+
+/**
+ * Start a new key epoch after a membership change. Sender keys of earlier
+ * epochs are dropped and the remaining members are told to distribute new ones.
+ * @param {string} groupId - Group ID
+ * @param {string} reason - "join", "leave", "remove" or "transfer"
+ * @returns {number} The new key epoch
+ */
+const bumpKeyEpoch = async (groupId, reason) => {
+    const group = await prisma.group.update({
+        where: { id: groupId },
+        data: {
+            keyEpoch: { increment: 1 }
+        }
+    });
+
+    await prisma.senderKeyDistribution.deleteMany({
+        where: {
+            groupId,
+            epoch: { lt: group.keyEpoch }
+        }
+    });
+
+    await publishEvent(group.memberIds, 'group_rekey_required', {
+        groupId,
+        epoch: group.keyEpoch,
+        reason
+    });
+
+    return group.keyEpoch;
+};
+
+/**
+ * Check whether a member has distributed their sender key for the current epoch
+ * @param {Object} group - Group record
+ * @param {string} senderId - Member's user ID
+ * @returns {boolean} Whether a distribution exists
+ */
+const hasSenderKey = async (group, senderId) => {
+    const distribution = await prisma.senderKeyDistribution.findUnique({
+        where: {
+            groupId_epoch_senderId: {
+                groupId: group.id,
+                epoch: group.keyEpoch,
+                senderId
+            }
+        }
+    });
+
+    return Boolean(distribution);
+};
+
+/**
+ * A member's role in a group
+ * @param {Object} group - Group record
+ * @param {string} userId - User ID
+ * @returns {string|null} "owner", "admin", "moderator" or "member", or null for non-members
+ */
+const getMemberRole = async (group, userId) => {
+    if (!group.memberIds.includes(userId)) {
+        return null;
+    }
+
+    if (group.adminId === userId) {
+        return 'owner';
+    }
+
+    const membership = await prisma.groupMembership.findUnique({
+        where: {
+            groupId_userId: { groupId: group.id, userId }
+        }
+    });
+
+    return membership && membership.role !== 'owner' ? membership.role : 'member';
+};
+
+/**
+ * Roles of every member of a group
+ * @param {Object} group - Group record
+ * @returns {Map<string, string>} Map of userId -> role
+ */
+const getMemberRoles = async (group) => {
+    const memberships = await prisma.groupMembership.findMany({
+        where: { groupId: group.id }
+    });
+
+    const storedRoles = new Map(memberships.map(membership => [membership.userId, membership.role]));
+
+    return new Map(group.memberIds.map(userId => {
+        if (userId === group.adminId) {
+            return [userId, 'owner'];
+        }
+
+        const role = storedRoles.get(userId);
+        return [userId, role && role !== 'owner' ? role : 'member'];
+    }));
+};
+
+/**
+ * Store a member's role
+ * @param {string} groupId - Group ID
+ * @param {string} userId - User ID
+ * @param {string} role - New role
+ */
+const setMemberRole = async (groupId, userId, role) => {
+    return await prisma.groupMembership.upsert({
+        where: {
+            groupId_userId: { groupId, userId }
+        },
+        update: { role },
+        create: { groupId, userId, role }
+    });
+};
+
+/**
+ * Check the options of an invite to be created
+ * @param {Object} options - { name, expiresIn, maxUses, requiresApproval }
+ * @returns {string|null} Error message, or null if they are valid
+ */
+const validateInviteOptions = ({ name, expiresIn, maxUses, requiresApproval }) => {
+    if (name !== undefined && (typeof name !== 'string' || name.length > 50)) {
+        return 'Invite names must be at most 50 characters';
+    }
+
+    if (expiresIn !== undefined && (!Number.isInteger(expiresIn) || expiresIn < 60 || expiresIn > MAX_INVITE_EXPIRY_SECONDS)) {
+        return 'Invite expiry must be between one minute and a year, in seconds';
+    }
+
+    if (maxUses !== undefined && maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1)) {
+        return 'Max uses must be a positive number';
+    }
+
+    if (requiresApproval !== undefined && requiresApproval !== null && typeof requiresApproval !== 'boolean') {
+        return 'Requires approval must be true or false';
+    }
+
+    return null;
+};
+
+/**
+ * Create an invite code for a group
+ * @param {string} groupId - Group ID
+ * @param {string} createdBy - Member creating the invite
+ * @param {Object} [options] - { name, expiresIn, maxUses, requiresApproval }
+ * @returns {Object} The invite
+ */
+const createGroupInvite = async (groupId, createdBy, { name, expiresIn, maxUses, requiresApproval } = {}) => {
+    return await prisma.groupInvite.create({
+        data: {
+            groupId,
+            createdBy,
+            inviteCode: crypto.randomBytes(6).toString('hex'),
+            name: name || null,
+            expiresAt: new Date(Date.now() + (expiresIn || DEFAULT_INVITE_EXPIRY_SECONDS) * 1000),
+            maxUses: maxUses || null,
+            requiresApproval: typeof requiresApproval === 'boolean' ? requiresApproval : null
+        }
+    });
+};
+
+/**
+ * Current state of an invite
+ * @param {Object} invite - Invite record
+ * @returns {string} "active", "revoked", "expired" or "exhausted"
+ */
+const getInviteStatus = (invite) => {
+    if (invite.revokedAt) {
+        return 'revoked';
+    }
+
+    if (invite.expiresAt <= new Date()) {
+        return 'expired';
+    }
+
+    if (invite.maxUses !== null && invite.useCount >= invite.maxUses) {
+        return 'exhausted';
+    }
+
+    return 'active';
+};
+
+/**
+ * Whether joining with an invite goes through the approval queue
+ * @param {Object} invite - Invite record
+ * @param {Object} group - The invite's group
+ * @returns {boolean} Whether approval is required
+ */
+const inviteRequiresApproval = (invite, group) => {
+    return invite.requiresApproval !== null && invite.requiresApproval !== undefined
+        ? invite.requiresApproval
+        : group.isPrivate;
+};
+
+/**
+ * Count a use of an invite, unless its use cap was reached in the meantime
+ * @param {Object} invite - Invite record
+ * @returns {boolean} Whether the use was counted
+ */
+const useInvite = async (invite) => {
+    const result = await prisma.groupInvite.updateMany({
+        where: {
+            id: invite.id,
+            revokedAt: null,
+            expiresAt: { gt: new Date() },
+            ...(invite.maxUses !== null ? { useCount: { lt: invite.maxUses } } : {})
+        },
+        data: {
+            useCount: { increment: 1 }
+        }
+    });
+
+    return result.count === 1;
+};
+
+/**
+ * Add a user to a group and start a new key epoch
+ * @param {Object} group - Group record
+ * @param {string} userId - User joining
+ * @param {Object} [details] - { inviteId } of the invite the user joined with
+ * @returns {number} The new key epoch
+ */
+const addGroupMember = async (group, userId, { inviteId } = {}) => {
+    await prisma.group.update({
+        where: { id: group.id },
+        data: {
+            memberIds: {
+                push: userId
+            }
+        }
+    });
+
+    const membership = {
+        role: 'member',
+        inviteId: inviteId || null,
+        joinedAt: new Date()
+    };
+
+    await prisma.groupMembership.upsert({
+        where: {
+            groupId_userId: { groupId: group.id, userId }
+        },
+        update: membership,
+        create: { groupId: group.id, userId, ...membership }
+    });
+
+    return await bumpKeyEpoch(group.id, 'join');
+};
+
+/**
+ * Remove a user from a group, along with their nickname, and start a new key epoch
+ * @param {Object} group - Group record
+ * @param {string} userId - User leaving or being removed
+ * @param {string} reason - "leave" or "remove"
+ * @returns {number} The new key epoch
+ */
+const removeGroupMember = async (group, userId, reason) => {
+    await prisma.group.update({
+        where: { id: group.id },
+        data: {
+            memberIds: {
+                set: group.memberIds.filter(id => id !== userId)
+            }
+        }
+    });
+
+    await prisma.memberNickname.deleteMany({
+        where: {
+            userId,
+            groupId: group.id
+        }
+    });
+
+    await prisma.groupMembership.deleteMany({
+        where: {
+            userId,
+            groupId: group.id
+        }
+    });
+
+    return await bumpKeyEpoch(group.id, reason);
+};
+
+/**
+ * Hand a group to another member. The previous owner stays on as an admin.
+ * @param {Object} group - Group record
+ * @param {string} newOwnerId - Member becoming owner
+ * @param {boolean} [keepPreviousOwner] - Whether the previous owner remains a member
+ * @returns {number} The new key epoch
+ */
+const transferGroupOwnership = async (group, newOwnerId, keepPreviousOwner = true) => {
+    await prisma.group.update({
+        where: { id: group.id },
+        data: {
+            adminId: newOwnerId
+        }
+    });
+
+    await setMemberRole(group.id, newOwnerId, 'owner');
+
+    if (keepPreviousOwner) {
+        await setMemberRole(group.id, group.adminId, 'admin');
+    }
+
+    return await bumpKeyEpoch(group.id, 'transfer');
+};
+
+/**
+ * IDs of the members allowed to perform an action in a group
+ * @param {Object} group - Group record
+ * @param {string} action - Key of GROUP_PERMISSIONS
+ * @returns {string[]} Member IDs
+ */
+const getMembersWithPermission = async (group, action) => {
+    const roles = await getMemberRoles(group);
+
+    return [...roles]
+        .filter(([, role]) => hasGroupPermission(role, action))
+        .map(([userId]) => userId);
+};
+
+/**
+ * Check whether a user is currently banned from a group
+ * @param {string} groupId - Group ID
+ * @param {string} userId - User ID
+ * @returns {Object|null} Failure result ({ reason: 'banned', retryAfter }) or null if not banned
+ */
+const checkGroupBan = async (groupId, userId) => {
+    const ban = await prisma.groupBan.findUnique({
+        where: {
+            groupId_userId: { groupId, userId }
+        }
+    });
+
+    if (!ban || (ban.expiresAt && ban.expiresAt <= new Date())) {
+        return null;
+    }
+
+    return {
+        reason: 'banned',
+        retryAfter: ban.expiresAt ? Math.ceil((ban.expiresAt.getTime() - Date.now()) / 1000) : undefined
+    };
+};
+
+/**
+ * Check whether a member may post in a group right now. Announcement-only
+ * groups take messages from admins alone; reactions are only held back by mutes.
+ * @param {Object} group - Group record
+ * @param {string} userId - Member's user ID
+ * @param {Object} [options] - { reacting } when checking a reaction rather than a message
+ * @returns {Object|null} Failure result (a reason of GROUP_POSTING_FAILURES) or null if allowed
+ */
+const checkCanPost = async (group, userId, { reacting = false } = {}) => {
+    if (!reacting && group.announcementOnly
+        && !hasGroupPermission(await getMemberRole(group, userId), 'send_announcements')) {
+        return { reason: 'announcement_only' };
+    }
+
+    const mute = await prisma.groupMute.findUnique({
+        where: {
+            groupId_userId: { groupId: group.id, userId }
+        }
+    });
+
+    if (mute && mute.mutedUntil > new Date()) {
+        return {
+            reason: 'muted',
+            retryAfter: Math.ceil((mute.mutedUntil.getTime() - Date.now()) / 1000)
+        };
+    }
+
+    return null;
+};
+
+/**
+ * Ban a user from a group, removing them if they are a member and turning
+ * down their pending join requests
+ * @param {Object} group - Group record
+ * @param {string} userId - User being banned
+ * @param {string} bannedBy - Admin issuing the ban
+ * @param {Object} [details] - { reason, expiresIn (seconds, omit for a permanent ban) }
+ * @returns {Object} The ban
+ */
+const banGroupMember = async (group, userId, bannedBy, { reason, expiresIn } = {}) => {
+    const details = {
+        bannedBy,
+        reason: reason || null,
+        expiresAt: expiresIn ? new Date(Date.now() + expiresIn * 1000) : null
+    };
+
+    const ban = await prisma.groupBan.upsert({
+        where: {
+            groupId_userId: { groupId: group.id, userId }
+        },
+        update: details,
+        create: { groupId: group.id, userId, ...details }
+    });
+
+    await prisma.groupJoinRequest.updateMany({
+        where: {
+            groupId: group.id,
+            userId,
+            status: 'pending'
+        },
+        data: {
+            status: 'rejected',
+            reviewedBy: bannedBy,
+            reviewedAt: new Date()
+        }
+    });
+
+    if (group.memberIds.includes(userId)) {
+        await removeGroupMember(group, userId, 'remove');
+    }
+
+    return ban;
+};
+
+/**
+ * Check whether a user's "groupAdd" privacy setting lets someone add them to
+ * groups directly. People who blocked the adder never can be.
+ * @param {Object} user - User being added, including `privacy`
+ * @param {string} adderId - Admin adding them
+ * @returns {boolean} Whether the add is allowed
+ */
+const canAddToGroup = async (user, adderId) => {
+    if (await isBlocked(user.id, adderId)) {
+        return false;
+    }
+
+    const level = getPrivacySettings(user).groupAdd;
+
+    // Contacts only matter for the "contacts" level
+    const isContact = level === 'contacts' && (await getContactIds(user.id)).includes(adderId);
+
+    return isVisibleTo(level, isContact);
+};
+
+/**
+ * Invite a phone number without an account to a group by SMS. The invitation
+ * is claimed automatically once the number is registered and verified.
+ * @param {Object} group - Group record
+ * @param {Object} inviter - Admin sending the invitation
+ * @param {string} phoneNumber - Phone number in E.164 format
+ * @returns {Object} Result ({ invited, sent }), or { invited: false, reason, retryAfter }
+ *   when the number or the inviter has had too many invitations sent
+ */
+const inviteByPhoneNumber = async (group, inviter, phoneNumber) => {
+    const existingInvite = await prisma.pendingGroupInvite.findUnique({
+        where: {
+            groupId_phoneNumber: { groupId: group.id, phoneNumber }
+        }
+    });
+
+    // Don't text the same number again while an invitation is outstanding
+    if (existingInvite && !existingInvite.claimedAt && existingInvite.expiresAt > new Date()) {
+        return { invited: true, sent: false };
+    }
+
+    const sendCheck = await canSendGroupInvite(inviter.id, phoneNumber);
+
+    if (!sendCheck.allowed) {
+        return { invited: false, reason: sendCheck.reason, retryAfter: sendCheck.retryAfter };
+    }
+
+    const invitation = {
+        invitedBy: inviter.id,
+        expiresAt: new Date(Date.now() + PENDING_INVITE_EXPIRY_DAYS * 24 * 60 * 60 * 1000),
+        claimedAt: null,
+        sentAt: new Date()
+    };
+
+    await prisma.pendingGroupInvite.upsert({
+        where: {
+            groupId_phoneNumber: { groupId: group.id, phoneNumber }
+        },
+        update: invitation,
+        create: { groupId: group.id, phoneNumber, ...invitation }
+    });
+
+    const sent = await sendGroupInviteViaSMS(phoneNumber, {
+        inviter: inviter.username || inviter.phoneNumber,
+        group: group.name,
+        days: PENDING_INVITE_EXPIRY_DAYS
+    });
+
+    return { invited: true, sent };
+};
+
+/**
+ * Add a newly verified user to every group their phone number was invited to
+ * @param {Object} user - Verified user
+ * @returns {string[]} IDs of the groups joined
+ */
+const claimPendingGroupInvites = async (user) => {
+    const invites = await prisma.pendingGroupInvite.findMany({
+        where: {
+            phoneNumber: user.phoneNumber,
+            claimedAt: null,
+            expiresAt: { gt: new Date() }
+        },
+        include: { group: true }
+    });
+
+    const joinedGroupIds = [];
+
+    for (const invite of invites) {
+        // Each invitation is claimed once, even if two verifications race
+        const claim = await prisma.pendingGroupInvite.updateMany({
+            where: { id: invite.id, claimedAt: null },
+            data: { claimedAt: new Date() }
+        });
+
+        if (claim.count === 0 || invite.group.memberIds.includes(user.id)) {
+            continue;
+        }
+
+        if (await checkGroupBan(invite.groupId, user.id)) {
+            continue;
+        }
+
+        await addGroupMember(invite.group, user.id);
+        joinedGroupIds.push(invite.groupId);
+    }
+
+    if (joinedGroupIds.length > 0) {
+        await publishEvent([user.id], 'group_added', { groupIds: joinedGroupIds });
+    }
+
+    return joinedGroupIds;
+};
+
+/**
+ * Ask to join a private group. Admins are notified of the new request.
+ * @param {Object} group - Group record
+ * @param {string} userId - User asking to join
+ * @param {Object} details - { invite, answer }
+ * @returns {Object} Result ({ requested, request, reason })
+ */
+const createJoinRequest = async (group, userId, { invite, answer }) => {
+    if (group.joinQuestion && !answer) {
+        return { requested: false, reason: 'answer_required' };
+    }
+
+    const pendingRequest = await prisma.groupJoinRequest.findFirst({
+        where: {
+            groupId: group.id,
+            userId,
+            status: 'pending'
+        }
+    });
+
+    if (pendingRequest) {
+        return { requested: false, reason: 'pending' };
+    }
+
+    if (invite && !(await useInvite(invite))) {
+        return { requested: false, reason: 'invite_unavailable' };
+    }
+
+    const request = await prisma.groupJoinRequest.create({
+        data: {
+            groupId: group.id,
+            userId,
+            inviteId: invite ? invite.id : null,
+            answer: group.joinQuestion ? answer : null
+        }
+    });
+
+    await publishEvent(await getMembersWithPermission(group, 'review_join_requests'), 'group_join_requested', {
+        groupId: group.id,
+        requestId: request.id,
+        userId
+    });
+
+    return { requested: true, request };
+};
+
+module.exports = {
+    GROUP_CATEGORIES,
+    JOIN_REQUEST_FAILURES,
+    GROUP_POSTING_FAILURES,
+    normalizeTags,
+    validateInviteOptions,
+    createGroupInvite,
+    getInviteStatus,
+    inviteRequiresApproval,
+    useInvite,
+    bumpKeyEpoch,
+    getMemberRole,
+    getMemberRoles,
+    setMemberRole,
+    addGroupMember,
+    removeGroupMember,
+    transferGroupOwnership,
+    getMembersWithPermission,
+    createJoinRequest,
+    checkCanPost,
+    checkGroupBan,
+    banGroupMember,
+    canAddToGroup,
+    inviteByPhoneNumber,
+    claimPendingGroupInvites,
+    hasSenderKey
+};
@@ -0,0 +1,189 @@
+const { prisma } = require('../config/db');
+
+// Handles can only be changed this often
+const HANDLE_CHANGE_COOLDOWN_DAYS = parseInt(process.env.HANDLE_CHANGE_COOLDOWN_DAYS || '14');
+
+// 3-30 characters, starting with a letter, letters, digits and underscores only
+const HANDLE_PATTERN = /^[a-z][a-z0-9_]{2,29}$/;
+
+// Handles that could be mistaken for the service or its staff
+const RESERVED_HANDLES = [
+    'admin',
+    'administrator',
+    'api',
+    'help',
+    'm2you',
+    'me',
+    'moderator',
+    'null',
+    'official',
+    'root',
+    'security',
+    'staff',
+    'support',
+    'system',
+    'undefined'
+];
+
+/**
+ * Responses for each way claiming a handle can fail
+ */
+const HANDLE_FAILURES = {
+    invalid: {
+        status: 400,
+        code: 'HANDLE_INVALID',
+        message: 'Handles must be 3-30 characters, start with a letter and only contain letters, numbers and underscores'
+    },
+    reserved: {
+        status: 400,
+        code: 'HANDLE_RESERVED',
+        message: 'This handle is reserved'
+    },
+    taken: {
+        status: 409,
+        code: 'HANDLE_TAKEN',
+        message: 'This handle is already taken'
+    },
+    cooldown: {
+        status: 429,
+        code: 'HANDLE_COOLDOWN',
+        message: 'Your handle was changed recently, please try again later'
+    }
+};
+
+/**
+ * Normalize a handle so lookups ignore case and a leading "@"
+ * @param {string} handle - Handle as typed by a user
+ * @returns {string} Normalized handle
+ */
+const normalizeHandle = (handle) => {
+    return String(handle).trim().replace(/^@/, '').toLowerCase();
+};
+
+/**
+ * Check whether a receiver identifier refers to a handle rather than a user ID
+ * @param {string} identifier - User ID or "@handle"
+ * @returns {boolean} Whether it is a handle
+ */
+const isHandleReference = (identifier) => {
+    return typeof identifier === 'string' && identifier.startsWith('@');
+};
+
+/**
+ * Find the user owning a handle
+ * @param {string} handle - Handle, with or without a leading "@"
+ * @returns {string|null} User ID, or null if nobody owns the handle
+ */
+const findUserIdByHandle = async (handle) => {
+    const record = await prisma.handle.findUnique({
+        where: { handle: normalizeHandle(handle) }
+    });
+
+    return record ? record.userId : null;
+};
+
+/**
+ * Resolve a user ID or "@handle" to a user ID
+ * @param {string} identifier - User ID or "@handle"
+ * @returns {string|null} User ID, or null if the handle doesn't exist
+ */
+const resolveUserId = async (identifier) => {
+    if (!isHandleReference(identifier)) {
+        return identifier;
+    }
+
+    return await findUserIdByHandle(identifier);
+};
+
+/**
+ * Claim or change a user's handle
+ * @param {Object} user - User claiming the handle
+ * @param {string} requestedHandle - Handle as typed by the user
+ * @returns {Object} Result ({ updated, handle, reason, retryAfter })
+ */
+const claimHandle = async (user, requestedHandle) => {
+    const handle = normalizeHandle(requestedHandle);
+
+    if (!HANDLE_PATTERN.test(handle)) {
+        return { updated: false, reason: 'invalid' };
+    }
+
+    if (RESERVED_HANDLES.includes(handle)) {
+        return { updated: false, reason: 'reserved' };
+    }
+
+    const current = await prisma.handle.findUnique({
+        where: { userId: user.id }
+    });
+
+    if (current && current.handle === handle) {
+        return { updated: true, handle };
+    }
+
+    if (user.handleChangedAt) {
+        const cooldownEndsAt = user.handleChangedAt.getTime() + HANDLE_CHANGE_COOLDOWN_DAYS * 24 * 60 * 60 * 1000;
+
+        if (cooldownEndsAt > Date.now()) {
+            return {
+                updated: false,
+                reason: 'cooldown',
+                retryAfter: Math.ceil((cooldownEndsAt - Date.now()) / 1000)
+            };
+        }
+    }
+
+    try {
+        await prisma.handle.upsert({
+            where: { userId: user.id },
+            update: { handle },
+            create: { userId: user.id, handle }
+        });
+    } catch (error) {
+        // Unique constraint on the handle, someone else owns it
+        if (error.code === 'P2002') {
+            return { updated: false, reason: 'taken' };
+        }
+
+        throw error;
+    }
+
+    await prisma.user.update({
+        where: { id: user.id },
+        data: { handleChangedAt: new Date() }
+    });
+
+    return { updated: true, handle };
+};
+
+/**
+ * Release a user's handle so others can claim it
+ * @param {string} userId - User ID
+ * @returns {boolean} Whether the user had a handle
+ */
+const releaseHandle = async (userId) => {
+    const result = await prisma.handle.deleteMany({
+        where: { userId }
+    });
+
+    if (result.count === 0) {
+        return false;
+    }
+
+    // Releasing counts as a change, so handles can't be churned
+    await prisma.user.update({
+        where: { id: userId },
+        data: { handleChangedAt: new Date() }
+    });
+
+    return true;
+};
+
+module.exports = {
+    HANDLE_FAILURES,
+    normalizeHandle,
+    isHandleReference,
+    findUserIdByHandle,
+    resolveUserId,
+    claimHandle,
+    releaseHandle
+};
@@ -1,21 +1,23 @@
 
-
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 
 /**
- * Generates a JWT token for authenticated users.
+ * Generates a short-lived JWT access token for authenticated users.
     * @param {Object} user - The user object containing user information( from the database).
+    * @param {Object} session - The session the token belongs to.
     * @returns {string} - The generated JWT token.
  */
 
-const generateToken = (user) => {
+const generateToken = (user, session) => {
     return jwt.sign(
         {
             id: user.id,
-            phoneNumber: user.phoneNumber
+            phoneNumber: user.phoneNumber,
+            sid: session.id
         },
         process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRY}
+        { expiresIn: process.env.JWT_EXPIRY || '15m' }
     );
 };
 
@@ -31,11 +33,70 @@ const verifyToken = (token) => {
         return jwt.verify(token, process.env.JWT_SECRET);
     } catch (error) {
         throw new Error('Invalid token');
-        
+
+    }
+};
+
+/**
+ * Generates a short-lived token proving the first login step succeeded.
+ * It carries the device being registered and cannot be used as an access token.
+ * @param {Object} user - The user completing a second factor.
+ * @param {Object} device - Device details submitted with the first step.
+ * @returns {string} - The generated challenge token.
+ */
+
+const generateChallengeToken = (user, device) => {
+    return jwt.sign(
+        {
+            id: user.id,
+            purpose: 'two_factor',
+            device
+        },
+        process.env.JWT_SECRET,
+        { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRY || '10m' }
+    );
+};
+
+/**
+ * Verifies a challenge token issued by generateChallengeToken.
+ * @param {string} token - The challenge token to verify.
+ * @returns {Object} - The decoded token payload.
+ */
+
+const verifyChallengeToken = (token) => {
+    const decoded = verifyToken(token);
+
+    if (decoded.purpose !== 'two_factor') {
+        throw new Error('Invalid token');
     }
+
+    return decoded;
+};
+
+/**
+ * Generates a random secret for a refresh token.
+ * @returns {string} - 48 random bytes, hex encoded.
+ */
+
+const generateRefreshSecret = () => {
+    return crypto.randomBytes(48).toString('hex');
+};
+
+/**
+ * Hashes a token secret so it can be stored without exposing the secret itself.
+ * @param {string} secret - The token secret.
+ * @returns {string} - Hex encoded SHA-256 digest.
+ */
+
+const hashToken = (secret) => {
+    return crypto.createHash('sha256').update(secret).digest('hex');
 };
 
 module.exports = {
     generateToken,
-    verifyToken
-}
\ No newline at end of file
+    verifyToken,
+    generateChallengeToken,
+    verifyChallengeToken,
+    generateRefreshSecret,
+    hashToken
+}
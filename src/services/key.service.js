@@ -0,0 +1,46 @@
+const { prisma } = require('../config/db');
+const { publishEvent } = require('./notification.service');
+const { getRelatedUserIds } = require('./contact.service');
+
+/**
+ * Tell a user's contacts and group co-members that one of their keys changed,
+ * so the safety number with them can be checked again
+ * @param {string} userId - User whose keys changed
+ * @param {Object} change - Details sent with the event, e.g. { reason, deviceId }
+ */
+const publishKeyChange = async (userId, change) => {
+    const relatedUserIds = await getRelatedUserIds(userId);
+
+    await publishEvent(relatedUserIds, 'key_changed', {
+        userId,
+        changedAt: new Date(),
+        ...change
+    });
+};
+
+/**
+ * The keys a user's safety number is calculated from: the account key and
+ * every linked device's keys
+ * @param {string} userId - User ID
+ * @returns {Object|null} { id, publicKey, devices: [{ publicKey, identityKey }] }, or null if the user doesn't exist
+ */
+const getSafetyNumberKeys = async (userId) => {
+    return await prisma.user.findUnique({
+        where: { id: userId },
+        select: {
+            id: true,
+            publicKey: true,
+            devices: {
+                select: {
+                    publicKey: true,
+                    identityKey: true
+                }
+            }
+        }
+    });
+};
+
+module.exports = {
+    publishKeyChange,
+    getSafetyNumberKeys
+};
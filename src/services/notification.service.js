@@ -0,0 +1,31 @@
+const { prisma } = require('../config/db');
+
+/**
+ * Publish an event to a set of users. Clients pick it up from
+ * GET /api/auth/notifications.
+ * @param {string[]} userIds - Recipients
+ * @param {string} type - Event type, e.g. "phone_number_changed"
+ * @param {Object} payload - Event details
+ * @returns {number} Number of notifications created
+ */
+const publishEvent = async (userIds, type, payload) => {
+    const recipients = [...new Set(userIds)];
+
+    if (recipients.length === 0) {
+        return 0;
+    }
+
+    const result = await prisma.notification.createMany({
+        data: recipients.map(userId => ({
+            userId,
+            type,
+            payload
+        }))
+    });
+
+    return result.count;
+};
+
+module.exports = {
+    publishEvent
+};
@@ -0,0 +1,169 @@
+const bcrypt = require('bcryptjs');
+const { prisma } = require('../config/db');
+
+// Failed attempts allowed before each lockout
+const PIN_MAX_ATTEMPTS = parseInt(process.env.PIN_MAX_ATTEMPTS || '5');
+
+// Lockout lengths in minutes, each repeated lockout uses the next (last one repeats)
+const PIN_LOCKOUT_MINUTES = [5, 30, 120, 720, 1440];
+
+// The lock stops applying once the account has been inactive for this many days
+const PIN_INACTIVITY_DAYS = 7;
+
+const PIN_SALT_ROUNDS = 10;
+
+/**
+ * Responses for each way a PIN check can fail
+ */
+const PIN_FAILURES = {
+    required: {
+        status: 403,
+        code: 'PIN_REQUIRED',
+        message: 'This account is protected by a PIN'
+    },
+    invalid: {
+        status: 403,
+        code: 'PIN_INVALID',
+        message: 'Incorrect PIN'
+    },
+    locked: {
+        status: 429,
+        code: 'PIN_LOCKED',
+        message: 'Too many incorrect PIN attempts, please try again later'
+    }
+};
+
+/**
+ * Check that a PIN has an acceptable format
+ * @param {string} pin - PIN chosen by the user
+ * @returns {boolean} Whether the PIN can be used
+ */
+const isValidPin = (pin) => {
+    return typeof pin === 'string' && pin.length >= 4 && pin.length <= 20;
+};
+
+/**
+ * Hash a PIN for storage
+ * @param {string} pin - PIN chosen by the user
+ * @returns {string} bcrypt hash
+ */
+const hashPin = async (pin) => {
+    return await bcrypt.hash(pin, PIN_SALT_ROUNDS);
+};
+
+/**
+ * Whether a new device needs the PIN to take over this account. The lock
+ * lapses after a week of inactivity so a lost PIN doesn't lose the number forever.
+ * @param {Object} user - User record
+ * @returns {boolean} Whether the registration lock applies
+ */
+const isRegistrationLockActive = (user) => {
+    if (!user.pinHash) {
+        return false;
+    }
+
+    const inactiveSince = Date.now() - PIN_INACTIVITY_DAYS * 24 * 60 * 60 * 1000;
+    return user.lastSeen.getTime() > inactiveSince;
+};
+
+/**
+ * Use up one PIN attempt. The counter is increased by a single conditional
+ * update, so every caller sees its own attempt number.
+ * @param {string} userId - User ID
+ * @returns {Object|null} { pinFailedAttempts, pinLockoutCount } after this attempt, or null if none were left
+ */
+const claimPinAttempt = async (userId) => {
+    try {
+        return await prisma.user.update({
+            where: {
+                id: userId,
+                pinFailedAttempts: { lt: PIN_MAX_ATTEMPTS }
+            },
+            data: { pinFailedAttempts: { increment: 1 } },
+            select: { pinFailedAttempts: true, pinLockoutCount: true }
+        });
+    } catch (error) {
+        // No attempts left
+        if (error.code === 'P2025') {
+            return null;
+        }
+
+        throw error;
+    }
+};
+
+/**
+ * Check a PIN against the user's stored hash, applying escalating lockouts
+ * @param {Object} user - User record
+ * @param {string} pin - PIN provided by the user
+ * @returns {Object} { valid: true } or { valid: false, reason, ... } where reason is a key of PIN_FAILURES
+ */
+const verifyPin = async (user, pin) => {
+    if (user.pinLockedUntil && user.pinLockedUntil > new Date()) {
+        const retryAfter = Math.ceil((user.pinLockedUntil.getTime() - Date.now()) / 1000);
+        return { valid: false, reason: 'locked', retryAfter };
+    }
+
+    // An expired lockout gives the full number of attempts back
+    await prisma.user.updateMany({
+        where: { id: user.id, pinLockedUntil: { lte: new Date() } },
+        data: { pinFailedAttempts: 0, pinLockedUntil: null }
+    });
+
+    // Take an attempt before comparing, so parallel guesses can't share one
+    const claim = await claimPinAttempt(user.id);
+
+    if (!claim) {
+        const { pinLockedUntil } = await prisma.user.findUnique({
+            where: { id: user.id },
+            select: { pinLockedUntil: true }
+        });
+
+        // The lockout may still be being applied by the attempt that reached the limit
+        const retryAfter = pinLockedUntil ? Math.ceil((pinLockedUntil.getTime() - Date.now()) / 1000) : undefined;
+
+        return { valid: false, reason: 'locked', retryAfter };
+    }
+
+    const isMatch = typeof pin === 'string' && await bcrypt.compare(pin, user.pinHash);
+
+    if (isMatch) {
+        await prisma.user.update({
+            where: { id: user.id },
+            data: {
+                pinFailedAttempts: 0,
+                pinLockoutCount: 0,
+                pinLockedUntil: null
+            }
+        });
+
+        return { valid: true };
+    }
+
+    const attempts = claim.pinFailedAttempts;
+
+    if (attempts < PIN_MAX_ATTEMPTS) {
+        return { valid: false, reason: 'invalid', attemptsRemaining: PIN_MAX_ATTEMPTS - attempts };
+    }
+
+    // Only the attempt that reached the limit applies the lockout, so it escalates once
+    const lockoutMinutes = PIN_LOCKOUT_MINUTES[Math.min(claim.pinLockoutCount, PIN_LOCKOUT_MINUTES.length - 1)];
+
+    await prisma.user.update({
+        where: { id: user.id },
+        data: {
+            pinLockoutCount: { increment: 1 },
+            pinLockedUntil: new Date(Date.now() + lockoutMinutes * 60 * 1000)
+        }
+    });
+
+    return { valid: false, reason: 'locked', retryAfter: lockoutMinutes * 60 };
+};
+
+module.exports = {
+    PIN_FAILURES,
+    isValidPin,
+    hashPin,
+    isRegistrationLockActive,
+    verifyPin
+};
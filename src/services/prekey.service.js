@@ -0,0 +1,271 @@
+const { prisma } = require('../config/db');
+const { publishEvent } = require('./notification.service');
+const { publishKeyChange } = require('./key.service');
+
+// Devices are warned once their pool of one-time prekeys falls to this size
+const PREKEY_LOW_THRESHOLD = parseInt(process.env.PREKEY_LOW_THRESHOLD || '10');
+
+// Upper bound on one-time prekeys stored per device
+const PREKEY_MAX_POOL = parseInt(process.env.PREKEY_MAX_POOL || '200');
+
+// Prekey IDs are 24-bit, as in the Signal protocol
+const MAX_KEY_ID = 0xffffff;
+
+// A claimed prekey may be taken by a concurrent fetch, so claiming retries
+const CLAIM_ATTEMPTS = 3;
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+
+/**
+ * Responses for each way a prekey upload can fail
+ */
+const PREKEY_FAILURES = {
+    invalid: {
+        status: 400,
+        code: 'PREKEY_INVALID',
+        message: 'Keys must be base64 encoded with integer key IDs'
+    },
+    identity_mismatch: {
+        status: 409,
+        code: 'IDENTITY_KEY_MISMATCH',
+        message: 'This device already has a different identity key, link it again to replace it'
+    },
+    duplicate: {
+        status: 409,
+        code: 'PREKEY_DUPLICATE',
+        message: 'One or more one-time prekey IDs are already in use on this device'
+    },
+    pool_full: {
+        status: 400,
+        code: 'PREKEY_POOL_FULL',
+        message: `A device can hold at most ${PREKEY_MAX_POOL} one-time prekeys`
+    }
+};
+
+/**
+ * Check that a value is a non-empty base64 string
+ * @param {*} value - Value to check
+ * @returns {boolean} Whether it is base64
+ */
+const isBase64 = (value) => {
+    return typeof value === 'string' && BASE64_PATTERN.test(value);
+};
+
+/**
+ * Check that a value is a usable prekey ID
+ * @param {*} keyId - Value to check
+ * @returns {boolean} Whether it is a valid key ID
+ */
+const isValidKeyId = (keyId) => {
+    return Number.isInteger(keyId) && keyId >= 0 && keyId <= MAX_KEY_ID;
+};
+
+/**
+ * Store a device's identity key, signed prekey and/or new one-time prekeys.
+ * Signatures are verified by the clients fetching the bundle, since the
+ * server never needs to trust the keys itself.
+ * @param {Object} device - Device uploading the keys
+ * @param {Object} keys - { identityKey, signedPreKey, oneTimePreKeys }
+ * @returns {Object} Result ({ stored, count, reason })
+ */
+const uploadPreKeys = async (device, { identityKey, signedPreKey, oneTimePreKeys = [] }) => {
+    if (identityKey !== undefined && !isBase64(identityKey)) {
+        return { stored: false, reason: 'invalid' };
+    }
+
+    if (signedPreKey !== undefined && (
+        !signedPreKey
+        || !isValidKeyId(signedPreKey.keyId)
+        || !isBase64(signedPreKey.publicKey)
+        || !isBase64(signedPreKey.signature)
+    )) {
+        return { stored: false, reason: 'invalid' };
+    }
+
+    if (!Array.isArray(oneTimePreKeys) || oneTimePreKeys.some(key => !key || !isValidKeyId(key.keyId) || !isBase64(key.publicKey))) {
+        return { stored: false, reason: 'invalid' };
+    }
+
+    // The identity key is what contacts verify, so it can't be swapped silently
+    if (identityKey && device.identityKey && device.identityKey !== identityKey) {
+        return { stored: false, reason: 'identity_mismatch' };
+    }
+
+    if (!identityKey && !device.identityKey) {
+        return { stored: false, reason: 'invalid' };
+    }
+
+    const keyIds = oneTimePreKeys.map(key => key.keyId);
+
+    if (new Set(keyIds).size !== keyIds.length) {
+        return { stored: false, reason: 'duplicate' };
+    }
+
+    const [poolSize, existing] = await Promise.all([
+        countOneTimePreKeys(device.id),
+        prisma.oneTimePreKey.count({
+            where: {
+                deviceId: device.id,
+                keyId: { in: keyIds }
+            }
+        })
+    ]);
+
+    if (existing > 0) {
+        return { stored: false, reason: 'duplicate' };
+    }
+
+    if (poolSize + oneTimePreKeys.length > PREKEY_MAX_POOL) {
+        return { stored: false, reason: 'pool_full' };
+    }
+
+    if (identityKey && !device.identityKey) {
+        await prisma.device.update({
+            where: { id: device.id },
+            data: { identityKey }
+        });
+
+        await publishKeyChange(device.userId, {
+            reason: 'identity_key',
+            deviceId: device.id
+        });
+    }
+
+    if (signedPreKey) {
+        const signedPreKeyData = {
+            keyId: signedPreKey.keyId,
+            publicKey: signedPreKey.publicKey,
+            signature: signedPreKey.signature,
+            createdAt: new Date()
+        };
+
+        await prisma.signedPreKey.upsert({
+            where: { deviceId: device.id },
+            update: signedPreKeyData,
+            create: { deviceId: device.id, ...signedPreKeyData }
+        });
+    }
+
+    if (oneTimePreKeys.length > 0) {
+        await prisma.oneTimePreKey.createMany({
+            data: oneTimePreKeys.map(key => ({
+                deviceId: device.id,
+                keyId: key.keyId,
+                publicKey: key.publicKey
+            }))
+        });
+    }
+
+    return { stored: true, count: poolSize + oneTimePreKeys.length };
+};
+
+/**
+ * Number of one-time prekeys a device has left
+ * @param {string} deviceId - Device ID
+ * @returns {number} Pool size
+ */
+const countOneTimePreKeys = async (deviceId) => {
+    return await prisma.oneTimePreKey.count({
+        where: { deviceId }
+    });
+};
+
+/**
+ * Take one of a device's one-time prekeys so no one else receives it
+ * @param {string} deviceId - Device ID
+ * @returns {Object|null} The prekey, or null once the pool is empty
+ */
+const claimOneTimePreKey = async (deviceId) => {
+    for (let attempt = 0; attempt < CLAIM_ATTEMPTS; attempt++) {
+        const preKey = await prisma.oneTimePreKey.findFirst({
+            where: { deviceId },
+            orderBy: { createdAt: 'asc' }
+        });
+
+        if (!preKey) {
+            return null;
+        }
+
+        // Only the request that actually deletes the key gets to hand it out
+        const result = await prisma.oneTimePreKey.deleteMany({
+            where: { id: preKey.id }
+        });
+
+        if (result.count === 1) {
+            return preKey;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Warn a device's owner when a claim leaves its pool low or empty
+ * @param {Object} device - Device the prekey was taken from
+ * @param {number} remaining - One-time prekeys left
+ */
+const warnIfPoolLow = async (device, remaining) => {
+    if (remaining !== PREKEY_LOW_THRESHOLD && remaining !== 0) {
+        return;
+    }
+
+    await publishEvent([device.userId], 'prekeys_low', {
+        deviceId: device.id,
+        remaining
+    });
+};
+
+/**
+ * Build the prekey bundle of every device of a user that has uploaded keys,
+ * consuming one one-time prekey per device
+ * @param {string} userId - User whose bundles are fetched
+ * @returns {Object[]} Bundles, one per device
+ */
+const fetchPreKeyBundles = async (userId) => {
+    const devices = await prisma.device.findMany({
+        where: {
+            userId,
+            identityKey: { not: null }
+        },
+        include: { signedPreKey: true },
+        orderBy: { createdAt: 'asc' }
+    });
+
+    const bundles = [];
+
+    for (const device of devices) {
+        if (!device.signedPreKey) {
+            continue;
+        }
+
+        const oneTimePreKey = await claimOneTimePreKey(device.id);
+
+        if (oneTimePreKey) {
+            await warnIfPoolLow(device, await countOneTimePreKeys(device.id));
+        }
+
+        bundles.push({
+            deviceId: device.id,
+            identityKey: device.identityKey,
+            signedPreKey: {
+                keyId: device.signedPreKey.keyId,
+                publicKey: device.signedPreKey.publicKey,
+                signature: device.signedPreKey.signature
+            },
+            // Without one the session is still forward secret, just with weaker replay protection
+            oneTimePreKey: oneTimePreKey
+                ? { keyId: oneTimePreKey.keyId, publicKey: oneTimePreKey.publicKey }
+                : null
+        });
+    }
+
+    return bundles;
+};
+
+module.exports = {
+    PREKEY_FAILURES,
+    PREKEY_LOW_THRESHOLD,
+    uploadPreKeys,
+    countOneTimePreKeys,
+    fetchPreKeyBundles
+};
@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const { prisma } = require('../config/db');
+const { generateToken, generateRefreshSecret, hashToken } = require('./jwt.service');
+
+// Refresh tokens live for 30 days unless configured otherwise
+const REFRESH_TOKEN_EXPIRY_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRY_DAYS || '30');
+
+/**
+ * Calculate the expiry date of a refresh token issued now
+ * @returns {Date} Expiry date
+ */
+const refreshExpiryDate = () => {
+    return new Date(Date.now() + REFRESH_TOKEN_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Refresh tokens are sent as "<sessionId>.<secret>" so the session can be
+ * looked up directly while only the hash of the secret is stored
+ * @param {string} refreshToken - Refresh token provided by the client
+ * @returns {Object|null} Session ID and secret, or null if malformed
+ */
+const parseRefreshToken = (refreshToken) => {
+    if (typeof refreshToken !== 'string') {
+        return null;
+    }
+
+    const [sessionId, secret] = refreshToken.split('.');
+
+    if (!sessionId || !secret || !/^[a-f0-9]{24}$/.test(sessionId)) {
+        return null;
+    }
+
+    return { sessionId, secret };
+};
+
+/**
+ * Check whether a session can still be used
+ * @param {Object} session - Session record
+ * @returns {boolean} Whether the session is active
+ */
+const isSessionActive = (session) => {
+    return Boolean(session) && !session.revokedAt && session.expiresAt > new Date();
+};
+
+/**
+ * Create a new session and issue its first token pair
+ * @param {Object} user - Authenticated user
+ * @param {Object} meta - Request metadata ({ deviceId, userAgent, ipAddress })
+ * @returns {Object} Session, access token and refresh token
+ */
+const createSession = async (user, meta = {}) => {
+    const secret = generateRefreshSecret();
+
+    const session = await prisma.session.create({
+        data: {
+            userId: user.id,
+            deviceId: meta.deviceId || null,
+            refreshTokenHash: hashToken(secret),
+            userAgent: meta.userAgent || null,
+            ipAddress: meta.ipAddress || null,
+            expiresAt: refreshExpiryDate()
+        }
+    });
+
+    return {
+        session,
+        accessToken: generateToken(user, session),
+        refreshToken: `${session.id}.${secret}`
+    };
+};
+
+/**
+ * Exchange a refresh token for a new token pair. The old refresh token stops
+ * working; presenting it again is treated as theft and revokes the session.
+ * @param {string} refreshToken - Refresh token provided by the client
+ * @returns {Object|null} New tokens, or null if the refresh token is not valid
+ */
+const rotateSession = async (refreshToken) => {
+    const parsed = parseRefreshToken(refreshToken);
+
+    if (!parsed) {
+        return null;
+    }
+
+    const session = await prisma.session.findUnique({
+        where: { id: parsed.sessionId },
+        include: { user: true }
+    });
+
+    if (!isSessionActive(session)) {
+        return null;
+    }
+
+    const providedHash = Buffer.from(hashToken(parsed.secret), 'hex');
+    const storedHash = Buffer.from(session.refreshTokenHash, 'hex');
+
+    if (!crypto.timingSafeEqual(providedHash, storedHash)) {
+        // A rotated token was replayed, so someone else may hold this session
+        await revokeSession(session.id);
+        return null;
+    }
+
+    const secret = generateRefreshSecret();
+
+    // Only rotate if the token is still the current one, so two refreshes
+    // racing with the same token can't both get a new pair
+    const rotated = await prisma.session.updateMany({
+        where: {
+            id: session.id,
+            refreshTokenHash: session.refreshTokenHash,
+            revokedAt: null
+        },
+        data: {
+            refreshTokenHash: hashToken(secret),
+            lastUsedAt: new Date(),
+            expiresAt: refreshExpiryDate()
+        }
+    });
+
+    if (rotated.count !== 1) {
+        // The losing request presented a token that was rotated meanwhile
+        await revokeSession(session.id);
+        return null;
+    }
+
+    const updatedSession = await prisma.session.findUnique({
+        where: { id: session.id }
+    });
+
+    if (session.deviceId) {
+        await prisma.device.update({
+            where: { id: session.deviceId },
+            data: { lastActiveAt: new Date() }
+        });
+    }
+
+    return {
+        session: updatedSession,
+        accessToken: generateToken(session.user, updatedSession),
+        refreshToken: `${session.id}.${secret}`
+    };
+};
+
+/**
+ * Revoke a single session
+ * @param {string} sessionId - Session ID
+ */
+const revokeSession = async (sessionId) => {
+    return await prisma.session.update({
+        where: { id: sessionId },
+        data: { revokedAt: new Date() }
+    });
+};
+
+/**
+ * Revoke every active session of a user
+ * @param {string} userId - User ID
+ * @param {string} [exceptSessionId] - Session to keep active
+ */
+const revokeAllSessions = async (userId, exceptSessionId) => {
+    return await prisma.session.updateMany({
+        where: {
+            userId,
+            revokedAt: null,
+            ...(exceptSessionId ? { id: { not: exceptSessionId } } : {})
+        },
+        data: { revokedAt: new Date() }
+    });
+};
+
+module.exports = {
+    createSession,
+    rotateSession,
+    revokeSession,
+    revokeAllSessions,
+    isSessionActive
+};
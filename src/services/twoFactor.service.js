@@ -0,0 +1,165 @@
+const { prisma } = require('../config/db');
+const { OTP_MAX_ATTEMPTS, OTP_LOCKOUT_SECONDS } = require('../utils/otp.util');
+const { verifyTOTP, decryptTOTPSecret, hashRecoveryCode } = require('../utils/totp.util');
+
+// Times a recovery code is retried when another login changed the codes meanwhile
+const RECOVERY_CODE_WRITE_ATTEMPTS = 5;
+
+/**
+ * Use up one second-factor attempt. The counter is increased by a single
+ * conditional update, so every caller sees its own attempt number.
+ * @param {string} userId - User ID
+ * @returns {number|null} Attempts used including this one, or null if none were left
+ */
+const claimAttempt = async (userId) => {
+    try {
+        const user = await prisma.user.update({
+            where: {
+                id: userId,
+                twoFactorFailedAttempts: { lt: OTP_MAX_ATTEMPTS }
+            },
+            data: { twoFactorFailedAttempts: { increment: 1 } },
+            select: { twoFactorFailedAttempts: true }
+        });
+
+        return user.twoFactorFailedAttempts;
+    } catch (error) {
+        // No attempts left
+        if (error.code === 'P2025') {
+            return null;
+        }
+
+        throw error;
+    }
+};
+
+/**
+ * Accept an authenticator code's time step. A code can only be used once,
+ * and never one older than the last accepted, so the step is only recorded
+ * if it is newer than the stored one.
+ * @param {string} userId - User ID
+ * @param {number} step - Time step the code matched
+ * @returns {boolean} Whether the step was accepted
+ */
+const useTOTPStep = async (userId, step) => {
+    const result = await prisma.user.updateMany({
+        where: {
+            id: userId,
+            OR: [
+                { totpLastStep: null },
+                { totpLastStep: { lt: step } }
+            ]
+        },
+        data: { totpLastStep: step }
+    });
+
+    return result.count === 1;
+};
+
+/**
+ * Use up a recovery code. The remaining codes are only written back if the
+ * list is unchanged since it was read, so parallel logins can neither use
+ * the same code twice nor bring back a code the other one used.
+ * @param {string} userId - User ID
+ * @param {string} codeHash - Hash of the provided code
+ * @returns {boolean} Whether the code was unused and is now used up
+ */
+const useRecoveryCode = async (userId, codeHash) => {
+    for (let attempt = 0; attempt < RECOVERY_CODE_WRITE_ATTEMPTS; attempt++) {
+        const user = await prisma.user.findUnique({
+            where: { id: userId },
+            select: { recoveryCodes: true }
+        });
+
+        if (!user || !user.recoveryCodes.includes(codeHash)) {
+            return false;
+        }
+
+        const result = await prisma.user.updateMany({
+            where: {
+                id: userId,
+                recoveryCodes: { equals: user.recoveryCodes }
+            },
+            data: {
+                recoveryCodes: { set: user.recoveryCodes.filter(hash => hash !== codeHash) }
+            }
+        });
+
+        if (result.count === 1) {
+            return true;
+        }
+    }
+
+    return false;
+};
+
+/**
+ * Verify an authenticator app code or an unused recovery code. Failures count
+ * towards the same lockout limits as SMS and email codes.
+ * @param {Object} user - User record
+ * @param {string} code - Code provided by the user
+ * @returns {Object} { valid: true, usedRecoveryCode } or { valid: false, reason, ... } where reason is a key of OTP_FAILURES
+ */
+const verifyAuthenticatorCode = async (user, code) => {
+    if (user.twoFactorLockedUntil && user.twoFactorLockedUntil > new Date()) {
+        const retryAfter = Math.ceil((user.twoFactorLockedUntil.getTime() - Date.now()) / 1000);
+        return { valid: false, reason: 'locked', retryAfter };
+    }
+
+    // An expired lockout gives the full number of attempts back
+    await prisma.user.updateMany({
+        where: { id: user.id, twoFactorLockedUntil: { lte: new Date() } },
+        data: { twoFactorFailedAttempts: 0, twoFactorLockedUntil: null }
+    });
+
+    // Take an attempt before checking the code, so parallel guesses can't share one
+    const attempts = await claimAttempt(user.id);
+
+    if (attempts === null) {
+        return { valid: false, reason: 'locked', retryAfter: OTP_LOCKOUT_SECONDS };
+    }
+
+    let accepted = false;
+    let usedRecoveryCode = false;
+
+    if (user.totpEnabled && user.totpSecret) {
+        const step = verifyTOTP(decryptTOTPSecret(user.totpSecret), code);
+
+        if (step !== null) {
+            accepted = await useTOTPStep(user.id, step);
+        }
+    }
+
+    if (!accepted) {
+        usedRecoveryCode = await useRecoveryCode(user.id, hashRecoveryCode(code));
+        accepted = usedRecoveryCode;
+    }
+
+    if (!accepted) {
+        // The counter stays at the limit until the lockout expires
+        if (attempts >= OTP_MAX_ATTEMPTS) {
+            await prisma.user.update({
+                where: { id: user.id },
+                data: { twoFactorLockedUntil: new Date(Date.now() + OTP_LOCKOUT_SECONDS * 1000) }
+            });
+
+            return { valid: false, reason: 'locked', retryAfter: OTP_LOCKOUT_SECONDS };
+        }
+
+        return { valid: false, reason: 'invalid', attemptsRemaining: OTP_MAX_ATTEMPTS - attempts };
+    }
+
+    await prisma.user.update({
+        where: { id: user.id },
+        data: {
+            twoFactorFailedAttempts: 0,
+            twoFactorLockedUntil: null
+        }
+    });
+
+    return { valid: true, usedRecoveryCode };
+};
+
+module.exports = {
+    verifyAuthenticatorCode
+};
@@ -0,0 +1,22 @@
+// src/utils/failure.util.js
+
+/**
+ * Respond with one of the failures described by a *_FAILURES map
+ * (e.g. OTP_FAILURES). Extra details from the result are passed along.
+ * @param {Object} res - Express response
+ * @param {Object} failures - Map of reason -> { status, code, message }
+ * @param {Object} result - Result with a `reason` key of the map
+ */
+const sendFailure = (res, failures, result) => {
+  const failure = failures[result.reason];
+
+  return res.status(failure.status).json({
+    success: false,
+    code: failure.code,
+    message: failure.message,
+    retryAfter: result.retryAfter,
+    attemptsRemaining: result.attemptsRemaining
+  });
+};
+
+module.exports = { sendFailure };
@@ -0,0 +1,57 @@
+// src/utils/groupRole.util.js
+
+// Group roles from least to most privileged
+const GROUP_ROLES = ['member', 'moderator', 'admin', 'owner'];
+
+// Lowest role allowed to perform each action
+const GROUP_PERMISSIONS = {
+  update_group: 'admin',
+  create_invite: 'moderator',
+  add_member: 'admin',
+  remove_member: 'moderator',
+  manage_nicknames: 'moderator',
+  mute_member: 'moderator',
+  send_announcements: 'admin',
+  change_roles: 'admin',
+  review_join_requests: 'admin',
+  ban_member: 'admin',
+  transfer_ownership: 'owner',
+  delete_group: 'owner'
+};
+
+/**
+ * Position of a role in the hierarchy
+ * @param {string} role - Group role
+ * @returns {number} Rank, -1 for anything that isn't a role
+ */
+const getRoleRank = (role) => {
+  return GROUP_ROLES.indexOf(role);
+};
+
+/**
+ * Check whether a role may perform an action
+ * @param {string} role - Member's role
+ * @param {string} action - Key of GROUP_PERMISSIONS
+ * @returns {boolean} Whether it is allowed
+ */
+const hasGroupPermission = (role, action) => {
+  return getRoleRank(role) >= getRoleRank(GROUP_PERMISSIONS[action]);
+};
+
+/**
+ * Check whether one role is strictly above another, e.g. whether a moderator
+ * may act on a member
+ * @param {string} role - Acting member's role
+ * @param {string} otherRole - Target member's role
+ * @returns {boolean} Whether role outranks otherRole
+ */
+const outranks = (role, otherRole) => {
+  return getRoleRank(role) > getRoleRank(otherRole);
+};
+
+module.exports = {
+  GROUP_ROLES,
+  getRoleRank,
+  hasGroupPermission,
+  outranks
+};
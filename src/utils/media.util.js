@@ -0,0 +1,20 @@
+// src/utils/media.util.js
+const path = require('path');
+
+// Where uploaded media is stored
+const MEDIA_STORAGE_PATH = process.env.MEDIA_STORAGE_PATH || path.join(__dirname, '../../uploads');
+
+/**
+ * Resolve the file on disk behind a media URL
+ * @param {string} mediaUrl - Media URL, e.g. /api/media/<filename>, or a bare filename
+ * @returns {string} Absolute file path inside MEDIA_STORAGE_PATH
+ */
+const getMediaFilePath = (mediaUrl) => {
+  // Only the basename is used so a URL can never point outside the storage path
+  return path.join(MEDIA_STORAGE_PATH, path.basename(mediaUrl));
+};
+
+module.exports = {
+  MEDIA_STORAGE_PATH,
+  getMediaFilePath
+};
@@ -1,12 +1,57 @@
-const twilio = require('twilio');
+const crypto = require('crypto');
 const { prisma } = require('../config/db');
+const { deliver } = require('../services/delivery');
 
-// initialize Twilio client
+// Codes are kept apart per purpose so a login code can't complete a second factor
+const OTP_PURPOSES = {
+    LOGIN: 'login',
+    TWO_FACTOR: 'two_factor',
+    CHANGE_NUMBER_OLD: 'change_number_old',
+    CHANGE_NUMBER_NEW: 'change_number_new',
+    DELETE_ACCOUNT: 'delete_account'
+};
+
+// Verification limits, all overridable through the environment
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS || '5');
+const OTP_LOCKOUT_SECONDS = parseInt(process.env.OTP_LOCKOUT_SECONDS || '900');
+const OTP_RESEND_COOLDOWN = parseInt(process.env.OTP_RESEND_COOLDOWN || '60');
+
+// Group invitation SMS limits: one per number across all groups per cooldown,
+// and a cap per inviter within a rolling window
+const GROUP_INVITE_NUMBER_COOLDOWN = parseInt(process.env.GROUP_INVITE_NUMBER_COOLDOWN || '86400');
+const GROUP_INVITE_SENDER_LIMIT = parseInt(process.env.GROUP_INVITE_SENDER_LIMIT || '20');
+const GROUP_INVITE_SENDER_WINDOW = parseInt(process.env.GROUP_INVITE_SENDER_WINDOW || '86400');
 
-const twilioClient = twilio(
-    process.env.TWILIO_ACCOUNT_SID,
-    process.env.TWILIO_AUTH_TOKEN
-);
+/**
+ * Responses for each way sending or verifying an OTP can fail
+ */
+const OTP_FAILURES = {
+    not_found: {
+        status: 400,
+        code: 'OTP_NOT_FOUND',
+        message: 'No verification code has been requested'
+    },
+    expired: {
+        status: 400,
+        code: 'OTP_EXPIRED',
+        message: 'Verification code has expired, please request a new one'
+    },
+    invalid: {
+        status: 400,
+        code: 'OTP_INVALID',
+        message: 'Invalid verification code'
+    },
+    locked: {
+        status: 429,
+        code: 'OTP_LOCKED',
+        message: 'Too many failed attempts, please try again later'
+    },
+    cooldown: {
+        status: 429,
+        code: 'OTP_COOLDOWN',
+        message: 'Please wait before requesting another verification code'
+    }
+};
 
 /**
  * Generate a 6-digit OTP
@@ -14,58 +59,248 @@ const twilioClient = twilio(
  */
 
 const generateOTP = () => {
-    return Math.floor(100000 + Math.random() * 900000).toString();
+    return crypto.randomInt(100000, 1000000).toString();
+};
+
+/**
+ * Hash an OTP for storage. The user ID and purpose are mixed in so equal
+ * codes never produce equal hashes.
+ * @param {string} userId - User ID
+ * @param {string} purpose - One of OTP_PURPOSES
+ * @param {string} otp - OTP to hash
+ * @param {string} [boundTo] - Value the code only verifies against, e.g. the number it was sent to
+ * @returns {string} Hex encoded HMAC
+ */
+
+const hashOTP = (userId, purpose, otp, boundTo) => {
+    const input = boundTo ? `${userId}:${purpose}:${otp}:${boundTo}` : `${userId}:${purpose}:${otp}`;
+
+    return crypto
+        .createHmac('sha256', process.env.OTP_SECRET || process.env.JWT_SECRET)
+        .update(input)
+        .digest('hex');
+};
+
+/**
+ * Seconds until a date, rounded up
+ * @param {Date} date - Date in the future
+ * @returns {number} Seconds remaining
+ */
+
+const secondsUntil = (date) => {
+    return Math.max(0, Math.ceil((date.getTime() - Date.now()) / 1000));
+};
+
+/**
+ * Check whether a new OTP may be sent to the user right now
+ * @param {string} userId - User ID
+ * @param {string} [purpose] - One of OTP_PURPOSES
+ * @returns {Object} { allowed } or { allowed: false, reason, retryAfter }
+ */
+
+const canSendOTP = async (userId, purpose = OTP_PURPOSES.LOGIN) => {
+    const otpData = await prisma.otpData.findUnique({
+        where: { userId_purpose: { userId, purpose } }
+    });
+
+    if (!otpData) {
+        return { allowed: true };
+    }
+
+    if (otpData.lockedUntil && otpData.lockedUntil > new Date()) {
+        return { allowed: false, reason: 'locked', retryAfter: secondsUntil(otpData.lockedUntil) };
+    }
+
+    const nextSendAt = new Date(otpData.lastSentAt.getTime() + OTP_RESEND_COOLDOWN * 1000);
+    if (nextSendAt > new Date()) {
+        return { allowed: false, reason: 'cooldown', retryAfter: secondsUntil(nextSendAt) };
+    }
+
+    return { allowed: true };
+};
+
+/**
+ * Check whether a group invitation SMS may be sent to a number right now
+ * @param {string} inviterId - User sending the invitation
+ * @param {string} phoneNumber - Invited phone number
+ * @returns {Object} { allowed } or { allowed: false, reason, retryAfter }
+ */
+
+const canSendGroupInvite = async (inviterId, phoneNumber) => {
+    const lastToNumber = await prisma.pendingGroupInvite.findFirst({
+        where: {
+            phoneNumber,
+            sentAt: { gt: new Date(Date.now() - GROUP_INVITE_NUMBER_COOLDOWN * 1000) }
+        },
+        orderBy: { sentAt: 'desc' },
+        select: { sentAt: true }
+    });
+
+    if (lastToNumber) {
+        const nextSendAt = new Date(lastToNumber.sentAt.getTime() + GROUP_INVITE_NUMBER_COOLDOWN * 1000);
+        return { allowed: false, reason: 'cooldown', retryAfter: secondsUntil(nextSendAt) };
+    }
+
+    const sentByInviter = await prisma.pendingGroupInvite.findMany({
+        where: {
+            invitedBy: inviterId,
+            sentAt: { gt: new Date(Date.now() - GROUP_INVITE_SENDER_WINDOW * 1000) }
+        },
+        orderBy: { sentAt: 'asc' },
+        select: { sentAt: true },
+        take: GROUP_INVITE_SENDER_LIMIT
+    });
+
+    if (sentByInviter.length >= GROUP_INVITE_SENDER_LIMIT) {
+        const nextSendAt = new Date(sentByInviter[0].sentAt.getTime() + GROUP_INVITE_SENDER_WINDOW * 1000);
+        return { allowed: false, reason: 'rate_limited', retryAfter: secondsUntil(nextSendAt) };
+    }
+
+    return { allowed: true };
 };
 
 /**
  * Sav OTP to database and set expiry
  * @param {string} userId - User ID
  * @param {string} otp - Generated OTP
+ * @param {string} [purpose] - One of OTP_PURPOSES
+ * @param {string} [boundTo] - Value the code only verifies against
  */
 
-const saveOTP = async (userId, otp) => {
+const saveOTP = async (userId, otp, purpose = OTP_PURPOSES.LOGIN, boundTo) => {
     // calculate expiry ( e.g 5 minutes from now)
     const expiresAt = new Date(Date.now() + parseInt(process.env.OTP_EXPIRY) * 1000);
+    const otpHash = hashOTP(userId, purpose, otp, boundTo);
 
     // check if user already has an OTP
 
     const existingOtp = await prisma.otpData.findUnique({
-        where: { userId }
+        where: { userId_purpose: { userId, purpose } }
     });
 
     if (existingOtp) {
+        // failed attempts carry over resends, only an expired lockout clears them
+        const lockExpired = existingOtp.lockedUntil && existingOtp.lockedUntil <= new Date();
+
         // update existing OTP
         return await prisma.otpData.update({
-            where: { userId },
-            data: { otp, expiresAt}
+            where: { userId_purpose: { userId, purpose } },
+            data: {
+                otpHash,
+                expiresAt,
+                lastSentAt: new Date(),
+                ...(lockExpired ? { attempts: 0, lockedUntil: null } : {})
+            }
         });
     } else {
         // create new OTP
         return await prisma.otpData.create({
-            data: { userId, otp, expiresAt }
+            data: { userId, purpose, otpHash, expiresAt }
         }); 
     }
 };
 
 /**
- * Send OTP via SMS using TWILIO
+ * Template variables for an OTP message
+ * @param {string} otp - Generated OTP
+ * @returns {Object} Variables for the "otp" template
+ */
+
+const otpTemplateVariables = (otp) => ({
+    code: otp,
+    minutes: Math.ceil(parseInt(process.env.OTP_EXPIRY) / 60)
+});
+
+/**
+ * Send OTP via SMS using the configured SMS provider
  * @param {string} phoneNumber - User's phone number
  * @param {string} otp - Generated OTP
+ * @returns {boolean} whether the SMS was delivered
  */
 
 const sendOTPViaSMS = async (phoneNumber, otp) => {
-    try {
+    const result = await deliver('sms', phoneNumber, 'otp', otpTemplateVariables(otp));
+    return result.delivered;
+};
+
+/**
+ * Send an invitation to join a group to a number that has no account yet
+ * @param {string} phoneNumber - Invited phone number
+ * @param {Object} invitation - { inviter, group, days } for the "group_invite" template
+ * @returns {boolean} whether the SMS was delivered
+ */
+
+const sendGroupInviteViaSMS = async (phoneNumber, invitation) => {
+    const result = await deliver('sms', phoneNumber, 'group_invite', invitation);
+    return result.delivered;
+};
+
+/**
+ * Send OTP via email using the configured email provider
+ * @param {string} email - User's email address
+ * @param {string} otp - Generated OTP
+ * @returns {boolean} whether the email was delivered
+ */
+
+const sendOTPViaEmail = async (email, otp) => {
+    const result = await deliver('email', email, 'otp', otpTemplateVariables(otp));
+    return result.delivered;
+};
+
+/**
+ * Generate, store and deliver a new OTP, honouring the resend cooldown and lockout
+ * @param {string} userId - User ID the code is stored under
+ * @param {string} purpose - One of OTP_PURPOSES
+ * @param {string} channel - "sms" or "email"
+ * @param {string} destination - Phone number or email address
+ * @param {Object} [options] - { bindToDestination } to make the code only verify for this destination
+ * @returns {Object} { sent }, or { sent: false, reason, retryAfter } when sending was refused
+ */
+
+const sendVerificationCode = async (userId, purpose, channel, destination, { bindToDestination = false } = {}) => {
+    const sendStatus = await canSendOTP(userId, purpose);
 
-        await twilioClient.messages.create({
-            body: `Your M2You verification code is ${otp}. This code will expire in 5 minutes.`,
-            from: process.env.TWILIO_PHONE_NUMBER,
-            to: phoneNumber
+    if (!sendStatus.allowed) {
+        return { sent: false, reason: sendStatus.reason, retryAfter: sendStatus.retryAfter };
+    }
+
+    const otp = generateOTP();
+    await saveOTP(userId, otp, purpose, bindToDestination ? destination : undefined);
+
+    const sent = channel === 'email'
+        ? await sendOTPViaEmail(destination, otp)
+        : await sendOTPViaSMS(destination, otp);
+
+    return { sent };
+};
+
+/**
+ * Use up one verification attempt. The counter is increased by a single
+ * conditional update, so every caller sees its own attempt number.
+ * @param {string} userId - User's ID
+ * @param {string} purpose - One of OTP_PURPOSES
+ * @returns {number|null} Attempts used including this one, or null if none were left
+ */
+
+const claimOTPAttempt = async (userId, purpose) => {
+    try {
+        const otpData = await prisma.otpData.update({
+            where: {
+                userId_purpose: { userId, purpose },
+                attempts: { lt: OTP_MAX_ATTEMPTS }
+            },
+            data: { attempts: { increment: 1 } },
+            select: { attempts: true }
         });
 
-        return true;
+        return otpData.attempts;
     } catch (error) {
-        console.error(`Error sending SMS: error.message}`);
-        return false;
+        // no record with attempts left
+        if (error.code === 'P2025') {
+            return null;
+        }
+
+        throw error;
     }
 };
 
@@ -73,34 +308,80 @@ const sendOTPViaSMS = async (phoneNumber, otp) => {
  * Verify OTP provided by User
  * @param {string} userId - User's ID
  * @param {string} providedOtp - OTP provided by User
- * @param {string} whether OTP is valid 
+ * @param {string} [purpose] - One of OTP_PURPOSES
+ * @param {string} [boundTo] - Destination the code must have been sent to, for codes bound to one
+ * @returns {Object} { valid: true } or { valid: false, reason, ... } where reason is a key of OTP_FAILURES
  * */
 
-const verifyOTP = async (userId, providedOtp) => {
+const verifyOTP = async (userId, providedOtp, purpose = OTP_PURPOSES.LOGIN, boundTo) => {
     const otpData = await prisma.otpData.findUnique({
-        where: { userId}
+        where: { userId_purpose: { userId, purpose } }
     });
 
     if (!otpData) {
-        return false;
+        return { valid: false, reason: 'not_found' };
+    }
+
+    // check if verification is locked after too many failures
+    if (otpData.lockedUntil && otpData.lockedUntil > new Date()) {
+        return { valid: false, reason: 'locked', retryAfter: secondsUntil(otpData.lockedUntil) };
     }
 
     // check if OTP is expired
-    if (otpData.otp !== providedOtp) {
-        return false;
+    if (otpData.expiresAt < new Date()) {
+        return { valid: false, reason: 'expired' };
+    }
+
+    // an expired lockout gives the full number of attempts back
+    await prisma.otpData.updateMany({
+        where: { userId, purpose, lockedUntil: { lte: new Date() } },
+        data: { attempts: 0, lockedUntil: null }
+    });
+
+    // take an attempt before comparing, so parallel guesses can't share one
+    const attempts = await claimOTPAttempt(userId, purpose);
+
+    if (attempts === null) {
+        return { valid: false, reason: 'locked', retryAfter: OTP_LOCKOUT_SECONDS };
+    }
+
+    const providedHash = Buffer.from(hashOTP(userId, purpose, String(providedOtp), boundTo), 'hex');
+    const storedHash = Buffer.from(otpData.otpHash, 'hex');
+
+    if (!crypto.timingSafeEqual(providedHash, storedHash)) {
+        // the counter stays at the limit until the lockout expires
+        if (attempts >= OTP_MAX_ATTEMPTS) {
+            await prisma.otpData.update({
+                where: { userId_purpose: { userId, purpose } },
+                data: { lockedUntil: new Date(Date.now() + OTP_LOCKOUT_SECONDS * 1000) }
+            });
+
+            return { valid: false, reason: 'locked', retryAfter: OTP_LOCKOUT_SECONDS };
+        }
+
+        return { valid: false, reason: 'invalid', attemptsRemaining: OTP_MAX_ATTEMPTS - attempts };
     }
 
     // OTP IS Valid, delete it after use
     await prisma.otpData.delete({
-        where: { userId }
+        where: { userId_purpose: { userId, purpose } }
     });
 
-    return true;
+    return { valid: true };
 };
 
 module.exports = {
+    OTP_PURPOSES,
+    OTP_FAILURES,
+    OTP_MAX_ATTEMPTS,
+    OTP_LOCKOUT_SECONDS,
     generateOTP,
+    canSendOTP,
+    canSendGroupInvite,
     saveOTP,
     sendOTPViaSMS,
+    sendOTPViaEmail,
+    sendGroupInviteViaSMS,
+    sendVerificationCode,
     verifyOTP
 };
\ No newline at end of file
@@ -0,0 +1,99 @@
+// src/utils/privacy.util.js
+
+const PRIVACY_LEVELS = ['everyone', 'contacts', 'nobody'];
+
+// Used for any setting a user hasn't chosen yet
+const DEFAULT_PRIVACY = {
+  phoneNumber: 'everyone',
+  lastSeen: 'everyone',
+  online: 'everyone',
+  profilePic: 'everyone',
+  status: 'everyone',
+  groupAdd: 'everyone'
+};
+
+// Profile fields hidden by each privacy setting
+const PRIVACY_FIELDS = {
+  phoneNumber: 'phoneNumber',
+  lastSeen: 'lastSeen',
+  online: 'isOnline',
+  profilePic: 'profilePic',
+  status: 'status'
+};
+
+// Profile fields hidden from users the owner has blocked
+const BLOCK_HIDDEN_FIELDS = ['lastSeen', 'isOnline', 'profilePic', 'status'];
+
+/**
+ * A user's privacy settings with defaults filled in
+ * @param {Object} user - User including `privacy`
+ * @returns {Object} Complete privacy settings
+ */
+const getPrivacySettings = (user) => {
+  const settings = { ...DEFAULT_PRIVACY };
+
+  for (const setting of Object.keys(DEFAULT_PRIVACY)) {
+    if (user.privacy && user.privacy[setting]) {
+      settings[setting] = user.privacy[setting];
+    }
+  }
+
+  return settings;
+};
+
+/**
+ * Check whether a viewer may see something protected by a privacy level
+ * @param {string} level - "everyone", "contacts" or "nobody"
+ * @param {boolean} isContact - Whether the owner counts the viewer as a contact
+ * @returns {boolean} Whether it is visible
+ */
+const isVisibleTo = (level, isContact) => {
+  if (level === 'everyone') {
+    return true;
+  }
+
+  return level === 'contacts' && isContact;
+};
+
+/**
+ * Hide the parts of a user's profile the viewer isn't allowed to see. Hidden
+ * fields are nulled rather than removed so the response shape stays the same.
+ * @param {Object} user - User including `privacy`
+ * @param {string} viewerId - ID of the user the data is sent to
+ * @param {Object} visibility - { contactOfIds, blockedByIds } sets for the viewer
+ * @returns {Object} User safe to send to the viewer
+ */
+const applyPrivacy = (user, viewerId, visibility) => {
+  const { privacy, ...visibleUser } = user;
+
+  // People always see their own profile in full
+  if (!user.id || user.id === viewerId) {
+    return visibleUser;
+  }
+
+  const settings = getPrivacySettings(user);
+  const isContact = visibility.contactOfIds.has(user.id);
+
+  // Someone who blocked the viewer looks like they share nothing with anyone,
+  // on top of what their settings already hide
+  const isBlocked = visibility.blockedByIds.has(user.id);
+
+  for (const [setting, field] of Object.entries(PRIVACY_FIELDS)) {
+    if (!(field in visibleUser)) {
+      continue;
+    }
+
+    if ((isBlocked && BLOCK_HIDDEN_FIELDS.includes(field)) || !isVisibleTo(settings[setting], isContact)) {
+      visibleUser[field] = null;
+    }
+  }
+
+  return visibleUser;
+};
+
+module.exports = {
+  PRIVACY_LEVELS,
+  getPrivacySettings,
+  isVisibleTo,
+  applyPrivacy
+};
@@ -0,0 +1,92 @@
+// src/utils/safetyNumber.util.js
+const crypto = require('crypto');
+
+// Same construction as Signal's numeric fingerprints
+const FINGERPRINT_VERSION = 0;
+const FINGERPRINT_ITERATIONS = 5200;
+const DIGITS_PER_USER = 30;
+
+/**
+ * Canonical bytes of a public key, so formatting differences in the PEM
+ * don't change the fingerprint
+ * @param {string} publicKey - Public key in PEM format
+ * @returns {Buffer} DER encoded key, or the trimmed text if it can't be parsed
+ */
+const getKeyBytes = (publicKey) => {
+  try {
+    return crypto.createPublicKey(publicKey).export({ type: 'spki', format: 'der' });
+  } catch (error) {
+    return Buffer.from(publicKey.trim());
+  }
+};
+
+/**
+ * Canonical bytes of every key a user holds. Device keys are sorted so the
+ * order devices are listed in doesn't matter, and any added, removed or
+ * replaced device changes the result.
+ * @param {Object} user - { publicKey, devices: [{ publicKey, identityKey }] }
+ * @returns {Buffer} Key material to fingerprint
+ */
+const getUserKeyBytes = (user) => {
+  const deviceKeys = [];
+
+  for (const device of user.devices || []) {
+    if (device.publicKey) {
+      deviceKeys.push(getKeyBytes(device.publicKey));
+    }
+
+    if (device.identityKey) {
+      deviceKeys.push(Buffer.from(device.identityKey.trim()));
+    }
+  }
+
+  deviceKeys.sort(Buffer.compare);
+
+  return Buffer.concat([getKeyBytes(user.publicKey), ...deviceKeys]);
+};
+
+/**
+ * Calculate one user's half of a safety number
+ * @param {Object} user - { id, publicKey, devices: [{ publicKey, identityKey }] }
+ * @returns {string} 30 digits
+ */
+const getUserFingerprint = (user) => {
+  const version = Buffer.alloc(2);
+  version.writeUInt16BE(FINGERPRINT_VERSION);
+
+  const key = getUserKeyBytes(user);
+  let hash = Buffer.concat([version, key, Buffer.from(user.id)]);
+
+  for (let i = 0; i < FINGERPRINT_ITERATIONS; i++) {
+    hash = crypto.createHash('sha512').update(hash).update(key).digest();
+  }
+
+  let digits = '';
+
+  // Six 5-byte chunks, each read as a number and reduced to 5 digits
+  for (let offset = 0; digits.length < DIGITS_PER_USER; offset += 5) {
+    const chunk = hash.readUIntBE(offset, 5);
+    digits += (chunk % 100000).toString().padStart(5, '0');
+  }
+
+  return digits;
+};
+
+/**
+ * Calculate the safety number two users compare to verify each other's keys.
+ * Both users get the same number because the halves are ordered by user ID.
+ * @param {Object} userA - { id, publicKey, devices: [{ publicKey, identityKey }] }
+ * @param {Object} userB - { id, publicKey, devices: [{ publicKey, identityKey }] }
+ * @returns {string} 60 digits in groups of five
+ */
+const generateSafetyNumber = (userA, userB) => {
+  const [first, second] = [userA, userB].sort((a, b) => a.id.localeCompare(b.id));
+  const digits = getUserFingerprint(first) + getUserFingerprint(second);
+
+  return digits.match(/\d{5}/g).join(' ');
+};
+
+module.exports = {
+  getUserFingerprint,
+  generateSafetyNumber
+};
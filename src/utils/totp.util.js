@@ -0,0 +1,199 @@
+// src/utils/totp.util.js
+const crypto = require('crypto');
+const { encryptMessage, decryptMessage } = require('./encryption.util');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// RFC 6238 defaults understood by every authenticator app
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+
+/**
+ * Encode bytes as RFC 4648 base32 without padding
+ * @param {Buffer} buffer - Bytes to encode
+ * @returns {string} Base32 string
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string
+ * @param {string} input - Base32 string, padding and case are ignored
+ * @returns {Buffer} Decoded bytes
+ */
+const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new TOTP secret
+ * @returns {string} Base32 encoded 160-bit secret
+ */
+const generateTOTPSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * Calculate an HOTP value (RFC 4226)
+ * @param {Buffer} key - Shared secret
+ * @param {number} counter - Moving factor
+ * @returns {string} Zero-padded code
+ */
+const generateHOTP = (key, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', key).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return (binary % 10 ** TOTP_DIGITS).toString().padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Verify a TOTP code (RFC 6238), allowing for clock drift
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} code - Code entered by the user
+ * @param {number} [window] - Number of time steps accepted either side of now
+ * @returns {number|null} Time step the code matched, or null if it didn't match
+ */
+const verifyTOTP = (secret, code, window = 1) => {
+  if (!/^\d{6}$/.test(String(code))) {
+    return null;
+  }
+
+  const key = base32Decode(secret);
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    const expected = Buffer.from(generateHOTP(key, step));
+
+    if (crypto.timingSafeEqual(expected, Buffer.from(String(code)))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI authenticator apps read from a QR code
+ * @param {string} secret - Base32 encoded secret
+ * @param {string} accountName - Label shown in the app, e.g. the phone number
+ * @param {string} [issuer] - Service name shown in the app
+ * @returns {string} otpauth URI
+ */
+const buildOtpauthURI = (secret, accountName, issuer = 'M2You') => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Server-side key used to encrypt TOTP secrets at rest
+ * @returns {Buffer} 256-bit AES key
+ */
+const getSecretEncryptionKey = () => {
+  return crypto
+    .createHash('sha256')
+    .update(process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET)
+    .digest();
+};
+
+/**
+ * Encrypt a TOTP secret for storage
+ * @param {string} secret - Base32 encoded secret
+ * @returns {string} Encrypted secret
+ */
+const encryptTOTPSecret = (secret) => {
+  return encryptMessage(secret, getSecretEncryptionKey());
+};
+
+/**
+ * Decrypt a stored TOTP secret
+ * @param {string} encryptedSecret - Secret produced by encryptTOTPSecret
+ * @returns {string} Base32 encoded secret
+ */
+const decryptTOTPSecret = (encryptedSecret) => {
+  return decryptMessage(encryptedSecret, getSecretEncryptionKey());
+};
+
+/**
+ * Generate one-time recovery codes
+ * @param {number} [count] - Number of codes
+ * @returns {string[]} Codes formatted as xxxxx-xxxxx
+ */
+const generateRecoveryCodes = (count = 10) => {
+  return Array.from({ length: count }, () => {
+    const code = crypto.randomBytes(5).toString('hex');
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+};
+
+/**
+ * Hash a recovery code for storage, ignoring case and the separator
+ * @param {string} code - Recovery code
+ * @returns {string} Hex encoded SHA-256 digest
+ */
+const hashRecoveryCode = (code) => {
+  const normalized = String(code).toLowerCase().replace(/[^a-f0-9]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+module.exports = {
+  generateTOTPSecret,
+  verifyTOTP,
+  buildOtpauthURI,
+  encryptTOTPSecret,
+  decryptTOTPSecret,
+  generateRecoveryCodes,
+  hashRecoveryCode
+};
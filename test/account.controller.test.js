@@ -0,0 +1,87 @@
+// test/account.controller.test.js
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PassThrough } = require('stream');
+const { useFakePrisma, createResponse } = require('./helpers/fakePrisma');
+
+process.env.JWT_SECRET = 'test-secret';
+process.env.OTP_EXPIRY = '300';
+process.env.MEDIA_STORAGE_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'm2you-media-'));
+
+const prisma = useFakePrisma();
+const { OTP_PURPOSES, saveOTP } = require('../src/utils/otp.util');
+const { deleteAccount, exportAccountData } = require('../src/controllers/account.controller');
+
+const mediaPath = (filename) => path.join(process.env.MEDIA_STORAGE_PATH, filename);
+
+describe('account.controller', () => {
+  let alice;
+  let bob;
+
+  before(() => {
+    fs.mkdirSync(process.env.MEDIA_STORAGE_PATH, { recursive: true });
+  });
+
+  after(() => {
+    fs.rmSync(process.env.MEDIA_STORAGE_PATH, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    prisma.$reset();
+    alice = prisma.$seed('user', { phoneNumber: '+15550000001', publicKey: 'alice-key' });
+    bob = prisma.$seed('user', { phoneNumber: '+15550000002', publicKey: 'bob-key' });
+
+    for (const [filename, owner] of [['alice.bin', alice], ['bob.bin', bob]]) {
+      fs.writeFileSync(mediaPath(filename), filename);
+      prisma.$seed('media', { filename, uploadedBy: owner.id });
+    }
+
+    // Alice sends her own upload and forwards Bob's
+    prisma.$seed('message', { senderId: alice.id, receiverId: bob.id, content: 'x', mediaUrl: '/api/media/alice.bin' });
+    prisma.$seed('message', { senderId: alice.id, receiverId: bob.id, content: 'y', mediaUrl: '/api/media/bob.bin' });
+  });
+
+  describe('deleteAccount', () => {
+    it('asks for a deletion code first', async () => {
+      const res = createResponse();
+
+      await deleteAccount({ user: alice, body: {} }, res);
+
+      assert.strictEqual(res.statusCode, 400);
+      assert.ok(prisma.$table('user').some(user => user.id === alice.id));
+    });
+
+    it("deletes the user's own uploads but not media they forwarded", async () => {
+      await saveOTP(alice.id, '123456', OTP_PURPOSES.DELETE_ACCOUNT);
+      const res = createResponse();
+
+      await deleteAccount({ user: alice, body: { otp: '123456' } }, res);
+
+      assert.strictEqual(res.statusCode, 200);
+      assert.strictEqual(fs.existsSync(mediaPath('alice.bin')), false);
+      assert.strictEqual(fs.existsSync(mediaPath('bob.bin')), true);
+      assert.deepStrictEqual(prisma.$table('media').map(media => media.filename), ['bob.bin']);
+      assert.ok(!prisma.$table('user').some(user => user.id === alice.id));
+    });
+  });
+
+  describe('exportAccountData', () => {
+    it("packs the user's own uploads only", async () => {
+      const res = Object.assign(new PassThrough(), { attachment() {} });
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      const ended = new Promise(resolve => res.on('end', resolve));
+
+      await exportAccountData({ user: alice }, res);
+      await ended;
+
+      // Zip archives list entry names uncompressed
+      const archive = Buffer.concat(chunks).toString('latin1');
+      assert.ok(archive.includes('media/alice.bin'));
+      assert.ok(!archive.includes('media/bob.bin'));
+    });
+  });
+});
@@ -0,0 +1,45 @@
+// test/auth.controller.test.js
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { useFakePrisma, createResponse } = require('./helpers/fakePrisma');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const prisma = useFakePrisma();
+const { updateProfile } = require('../src/controllers/auth.controller');
+
+describe('auth.controller', () => {
+  let user;
+
+  beforeEach(() => {
+    prisma.$reset();
+    user = prisma.$seed('user', {
+      phoneNumber: '+15550000001',
+      twoFactorAuth: true,
+      twoFactorType: 'totp',
+      totpEnabled: true
+    });
+  });
+
+  describe('updateProfile', () => {
+    it('updates profile fields', async () => {
+      const res = createResponse();
+
+      await updateProfile({ user, body: { username: 'Alice' } }, res);
+
+      assert.strictEqual(res.statusCode, 200);
+      assert.strictEqual(res.body.user.username, 'Alice');
+    });
+
+    it("can't switch off two-factor authentication", async () => {
+      const res = createResponse();
+
+      await updateProfile({ user, body: { twoFactorAuth: false, email: 'a@example.com' } }, res);
+
+      const [stored] = prisma.$table('user');
+      assert.strictEqual(res.statusCode, 200);
+      assert.strictEqual(stored.twoFactorAuth, true);
+      assert.strictEqual(stored.twoFactorType, 'totp');
+    });
+  });
+});
@@ -0,0 +1,68 @@
+// test/block.controller.test.js
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { useFakePrisma, createResponse } = require('./helpers/fakePrisma');
+
+const prisma = useFakePrisma();
+const { blockUser, unblockUser } = require('../src/controllers/block.controller');
+
+describe('block.controller', () => {
+  let alice;
+  let bob;
+
+  beforeEach(() => {
+    prisma.$reset();
+    alice = prisma.$seed('user', { phoneNumber: '+15550000001' });
+    bob = prisma.$seed('user', { phoneNumber: '+15550000002' });
+  });
+
+  describe('blockUser', () => {
+    it('blocks a user once', async () => {
+      const responses = [createResponse(), createResponse()];
+
+      for (const res of responses) {
+        await blockUser({ user: alice, params: { userId: bob.id } }, res);
+      }
+
+      assert.deepStrictEqual(responses.map(res => res.statusCode), [200, 200]);
+      assert.strictEqual(prisma.$table('block').length, 1);
+    });
+
+    it('rejects invalid user IDs', async () => {
+      const res = createResponse();
+
+      await blockUser({ user: alice, params: { userId: 'not-an-id' } }, res);
+
+      assert.strictEqual(res.statusCode, 400);
+    });
+
+    it("can't block yourself", async () => {
+      const res = createResponse();
+
+      await blockUser({ user: alice, params: { userId: alice.id } }, res);
+
+      assert.strictEqual(res.statusCode, 400);
+      assert.strictEqual(prisma.$table('block').length, 0);
+    });
+  });
+
+  describe('unblockUser', () => {
+    it('removes a block', async () => {
+      prisma.$seed('block', { blockerId: alice.id, blockedId: bob.id });
+      const res = createResponse();
+
+      await unblockUser({ user: alice, params: { userId: bob.id } }, res);
+
+      assert.strictEqual(res.statusCode, 200);
+      assert.strictEqual(prisma.$table('block').length, 0);
+    });
+
+    it('rejects invalid user IDs', async () => {
+      const res = createResponse();
+
+      await unblockUser({ user: alice, params: { userId: 'not-an-id' } }, res);
+
+      assert.strictEqual(res.statusCode, 400);
+    });
+  });
+});
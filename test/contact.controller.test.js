@@ -0,0 +1,72 @@
+// test/contact.controller.test.js
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { useFakePrisma, createResponse } = require('./helpers/fakePrisma');
+
+process.env.JWT_SECRET = 'test-secret';
+process.env.CONTACT_DISCOVERY_DAILY_LIMIT = '3';
+
+const prisma = useFakePrisma();
+const { hashPhoneNumber } = require('../src/services/contact.service');
+const { syncContacts } = require('../src/controllers/contact.controller');
+
+describe('contact.controller', () => {
+  let alice;
+  let hashes;
+
+  const freshUser = () => ({ ...prisma.$table('user').find(record => record.id === alice.id) });
+
+  beforeEach(() => {
+    prisma.$reset();
+    alice = prisma.$seed('user', { phoneNumber: '+15550000001' });
+    hashes = ['+15550000002', '+15550000003', '+15550000004', '+15550000005'].map(phoneNumber => {
+      prisma.$seed('user', { phoneNumber, phoneHash: hashPhoneNumber(phoneNumber) });
+      return hashPhoneNumber(phoneNumber);
+    });
+  });
+
+  describe('syncContacts', () => {
+    it('stores the registered users among the uploaded hashes', async () => {
+      const res = createResponse();
+
+      await syncContacts({ user: alice, body: { add: hashes.slice(0, 2) } }, res);
+
+      assert.strictEqual(res.statusCode, 200);
+      assert.strictEqual(prisma.$table('contact').length, 2);
+      assert.strictEqual(freshUser().discoveryQuotaUsed, 2);
+    });
+
+    it('refuses lookups beyond the daily quota', async () => {
+      await syncContacts({ user: alice, body: { add: hashes.slice(0, 2) } }, createResponse());
+      const res = createResponse();
+
+      await syncContacts({ user: freshUser(), body: { add: hashes.slice(2) } }, res);
+
+      assert.strictEqual(res.statusCode, 429);
+      assert.ok(res.body.retryAfter > 0);
+      assert.strictEqual(prisma.$table('contact').length, 2);
+    });
+
+    it("doesn't let parallel syncs exceed the quota together", async () => {
+      const snapshot = freshUser();
+      const responses = [createResponse(), createResponse()];
+
+      await Promise.all([
+        syncContacts({ user: snapshot, body: { add: hashes.slice(0, 2) } }, responses[0]),
+        syncContacts({ user: snapshot, body: { add: hashes.slice(2) } }, responses[1])
+      ]);
+
+      assert.deepStrictEqual(responses.map(res => res.statusCode).sort(), [200, 429]);
+      assert.strictEqual(freshUser().discoveryQuotaUsed, 2);
+    });
+
+    it('stores each contact once when the same hashes sync in parallel', async () => {
+      const responses = [createResponse(), createResponse()];
+
+      await Promise.all(responses.map(res => syncContacts({ user: alice, body: { add: hashes.slice(0, 1) } }, res)));
+
+      assert.deepStrictEqual(responses.map(res => res.statusCode), [200, 200]);
+      assert.strictEqual(prisma.$table('contact').length, 1);
+    });
+  });
+});
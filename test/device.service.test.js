@@ -0,0 +1,51 @@
+// test/device.service.test.js
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { useFakePrisma } = require('./helpers/fakePrisma');
+
+const prisma = useFakePrisma();
+const { isDeviceKeyRequired, registerLoginDevice } = require('../src/services/device.service');
+
+describe('device.service', () => {
+  let user;
+
+  beforeEach(() => {
+    prisma.$reset();
+    user = prisma.$seed('user', { phoneNumber: '+15550000001', publicKey: 'account-key' });
+  });
+
+  it('lets the first device reuse the account key', async () => {
+    const result = await registerLoginDevice(user, { deviceName: 'Phone' });
+
+    assert.strictEqual(result.isNew, true);
+    assert.strictEqual(result.device.publicKey, 'account-key');
+  });
+
+  it('requires a device key once a device exists', async () => {
+    await registerLoginDevice(user, {});
+
+    assert.strictEqual(await isDeviceKeyRequired(user, undefined), true);
+    assert.strictEqual(await isDeviceKeyRequired(user, 'laptop-key'), false);
+    assert.deepStrictEqual(await registerLoginDevice(user, {}), { reason: 'key_required' });
+    assert.strictEqual(prisma.$table('device').length, 1);
+  });
+
+  it('reuses the device of a repeated login instead of adding one', async () => {
+    const first = await registerLoginDevice(user, { publicKey: 'laptop-key', deviceName: 'Laptop' });
+    const second = await registerLoginDevice(user, { publicKey: 'laptop-key', platform: 'desktop' });
+
+    assert.strictEqual(second.isNew, false);
+    assert.strictEqual(second.device.id, first.device.id);
+    assert.strictEqual(second.device.name, 'Laptop');
+    assert.strictEqual(second.device.platform, 'desktop');
+    assert.strictEqual(prisma.$table('device').length, 1);
+  });
+
+  it('adds a device for a new key', async () => {
+    await registerLoginDevice(user, { publicKey: 'laptop-key' });
+    const result = await registerLoginDevice(user, { publicKey: 'tablet-key' });
+
+    assert.strictEqual(result.isNew, true);
+    assert.strictEqual(prisma.$table('device').length, 2);
+  });
+});
@@ -0,0 +1,120 @@
+// test/group.controller.test.js
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { useFakePrisma, createResponse } = require('./helpers/fakePrisma');
+
+process.env.JWT_SECRET = 'test-secret';
+process.env.CONTACT_DISCOVERY_DAILY_LIMIT = '3';
+
+const prisma = useFakePrisma();
+const { addMembers, muteMember, unmuteMember } = require('../src/controllers/group.controller');
+
+describe('group.controller', () => {
+  let alice;
+  let bob;
+  let group;
+
+  beforeEach(() => {
+    prisma.$reset();
+    alice = prisma.$seed('user', { phoneNumber: '+15550000001' });
+    bob = prisma.$seed('user', { phoneNumber: '+15550000002' });
+    group = prisma.$seed('group', { name: 'Hiking', adminId: alice.id, memberIds: [alice.id] });
+  });
+
+  describe('addMembers', () => {
+    const add = async (phoneNumbers, groupId = group.id) => {
+      const res = createResponse();
+      await addMembers({ user: alice, params: { groupId }, body: { phoneNumbers } }, res);
+      return res;
+    };
+
+    it('adds registered numbers and invites the rest', async () => {
+      const res = await add([bob.phoneNumber, '+15550000009']);
+
+      assert.strictEqual(res.statusCode, 200);
+      assert.deepStrictEqual(res.body.data.added, [bob.id]);
+      assert.deepStrictEqual(res.body.data.invited.map(invite => invite.phoneNumber), ['+15550000009']);
+    });
+
+    it('counts phone numbers against the discovery quota', async () => {
+      await add([bob.phoneNumber, '+15550000009']);
+
+      const res = await add(['+15550000010', '+15550000011']);
+
+      assert.strictEqual(res.statusCode, 429);
+      assert.ok(res.body.retryAfter > 0);
+      assert.strictEqual(prisma.$table('pendingGroupInvite').length, 1);
+    });
+
+    it('texts a number once, even when invited to another group', async () => {
+      const other = prisma.$seed('group', { name: 'Running', adminId: alice.id, memberIds: [alice.id] });
+      await add(['+15550000009']);
+
+      const res = await add(['+15550000009'], other.id);
+
+      assert.deepStrictEqual(res.body.data.failed.map(failure => failure.reason), ['cooldown']);
+    });
+  });
+
+  describe('muteMember and unmuteMember', () => {
+    let admin;
+    let moderator;
+    let member;
+
+    const mute = async (user, memberId) => {
+      const res = createResponse();
+      await muteMember({ user, params: { groupId: group.id, memberId }, body: { duration: 3600 } }, res);
+      return res;
+    };
+
+    const unmute = async (user, memberId) => {
+      const res = createResponse();
+      await unmuteMember({ user, params: { groupId: group.id, memberId } }, res);
+      return res;
+    };
+
+    beforeEach(() => {
+      admin = prisma.$seed('user', { phoneNumber: '+15550000003' });
+      moderator = prisma.$seed('user', { phoneNumber: '+15550000004' });
+      member = bob;
+
+      const stored = prisma.$table('group').find(record => record.id === group.id);
+      stored.memberIds.push(admin.id, moderator.id, member.id);
+      group = stored;
+
+      prisma.$seed('groupMembership', { groupId: group.id, userId: admin.id, role: 'admin' });
+      prisma.$seed('groupMembership', { groupId: group.id, userId: moderator.id, role: 'moderator' });
+    });
+
+    it('lets moderators mute and unmute members', async () => {
+      assert.strictEqual((await mute(moderator, member.id)).statusCode, 200);
+      assert.strictEqual((await unmute(moderator, member.id)).statusCode, 200);
+      assert.strictEqual(prisma.$table('groupMute').length, 0);
+    });
+
+    it("can't mute a member with the same or a higher role", async () => {
+      assert.strictEqual((await mute(moderator, admin.id)).statusCode, 403);
+      assert.strictEqual((await mute(member, moderator.id)).statusCode, 403);
+      assert.strictEqual(prisma.$table('groupMute').length, 0);
+    });
+
+    it("can't lift a mute imposed by someone ranked higher", async () => {
+      await mute(admin, member.id);
+
+      assert.strictEqual((await unmute(moderator, member.id)).statusCode, 403);
+      assert.strictEqual((await unmute(alice, member.id)).statusCode, 200);
+    });
+
+    it("can't unmute a member with the same or a higher role", async () => {
+      const other = prisma.$seed('user', { phoneNumber: '+15550000005' });
+      group.memberIds.push(other.id);
+      prisma.$seed('groupMembership', { groupId: group.id, userId: other.id, role: 'moderator' });
+      await mute(admin, other.id);
+
+      const stored = prisma.$table('groupMute')[0];
+      stored.mutedBy = moderator.id;
+
+      assert.strictEqual((await unmute(moderator, other.id)).statusCode, 403);
+    });
+  });
+});
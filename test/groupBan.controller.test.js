@@ -0,0 +1,79 @@
+// test/groupBan.controller.test.js
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { useFakePrisma, createResponse } = require('./helpers/fakePrisma');
+
+const prisma = useFakePrisma();
+const { banUser, unbanUser } = require('../src/controllers/groupBan.controller');
+
+describe('groupBan.controller', () => {
+  let owner;
+  let moderator;
+  let admin;
+  let group;
+
+  const freshGroup = () => prisma.$table('group').find(record => record.id === group.id);
+
+  beforeEach(() => {
+    prisma.$reset();
+    owner = prisma.$seed('user', { phoneNumber: '+15550000001' });
+    moderator = prisma.$seed('user', { phoneNumber: '+15550000002' });
+    admin = prisma.$seed('user', { phoneNumber: '+15550000003' });
+    group = prisma.$seed('group', { name: 'Hiking', adminId: owner.id, memberIds: [owner.id, moderator.id, admin.id] });
+    prisma.$seed('groupMembership', { groupId: group.id, userId: moderator.id, role: 'moderator' });
+    prisma.$seed('groupMembership', { groupId: group.id, userId: admin.id, role: 'admin' });
+  });
+
+  describe('banUser', () => {
+    const ban = async (user, body) => {
+      const res = createResponse();
+      await banUser({ user, params: { groupId: group.id }, body }, res);
+      return res;
+    };
+
+    it('bans and removes a member for a while', async () => {
+      const res = await ban(owner, { userId: moderator.id, expiresIn: 3600 });
+
+      assert.strictEqual(res.statusCode, 200);
+      assert.ok(res.body.data.expiresAt > new Date());
+      assert.ok(!freshGroup().memberIds.includes(moderator.id));
+    });
+
+    it('caps how long a temporary ban lasts', async () => {
+      const res = await ban(owner, { userId: moderator.id, expiresIn: 2 * 365 * 24 * 60 * 60 });
+
+      assert.strictEqual(res.statusCode, 400);
+      assert.strictEqual(prisma.$table('groupBan').length, 0);
+    });
+
+    it("can't ban a member with a higher role", async () => {
+      const res = await ban(moderator, { userId: admin.id });
+
+      assert.strictEqual(res.statusCode, 403);
+      assert.ok(freshGroup().memberIds.includes(admin.id));
+    });
+
+    it('rejects invalid user IDs', async () => {
+      assert.strictEqual((await ban(owner, { userId: 'not-an-id' })).statusCode, 400);
+    });
+  });
+
+  describe('unbanUser', () => {
+    const unban = async (userId) => {
+      const res = createResponse();
+      await unbanUser({ user: owner, params: { groupId: group.id, userId } }, res);
+      return res;
+    };
+
+    it('lifts a ban', async () => {
+      prisma.$seed('groupBan', { groupId: group.id, userId: moderator.id, bannedBy: owner.id });
+
+      assert.strictEqual((await unban(moderator.id)).statusCode, 200);
+      assert.strictEqual(prisma.$table('groupBan').length, 0);
+    });
+
+    it('rejects invalid user IDs', async () => {
+      assert.strictEqual((await unban('not-an-id')).statusCode, 400);
+    });
+  });
+});
@@ -0,0 +1,473 @@
+// test/helpers/fakePrisma.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Unique constraints the tests rely on, beyond the id
+const UNIQUE_FIELDS = {
+  contact: [['ownerId', 'phoneHash']],
+  block: [['blockerId', 'blockedId']],
+  groupBan: [['groupId', 'userId']],
+  groupMute: [['groupId', 'userId']],
+  otpData: [['userId', 'purpose']],
+  user: [['phoneNumber']],
+  media: [['filename']]
+};
+
+const lowerFirst = (name) => name[0].toLowerCase() + name.slice(1);
+
+/**
+ * Read what the fake needs from the Prisma schema: the values Prisma fills
+ * in on create (@default values, null for optional fields, empty scalar
+ * lists) and how relation fields map to other models
+ * @returns {Object} { defaults, relations }, each keyed by model name as used on the client
+ */
+const readSchema = () => {
+  const schema = fs.readFileSync(path.join(__dirname, '../../prisma/schema.prisma'), 'utf8');
+  const modelNames = [...schema.matchAll(/^model (\w+) \{/gm)].map(match => match[1]);
+  const defaults = {};
+  const relations = {};
+
+  for (const [, modelName, body] of schema.matchAll(/^model (\w+) \{([\s\S]*?)^\}/gm)) {
+    const fields = {};
+    const modelRelations = {};
+
+    for (const line of body.split('\n')) {
+      const match = line.match(/^\s+(\w+)\s+(\w+)(\[\]|\?)?(.*)$/);
+
+      if (!match) {
+        continue;
+      }
+
+      const [, field, type, modifier, rest] = match;
+
+      if (modelNames.includes(type)) {
+        modelRelations[field] = {
+          model: lowerFirst(type),
+          name: (rest.match(/@relation\("(\w+)"/) || [])[1],
+          foreignKey: (rest.match(/fields: \[(\w+)\]/) || [])[1],
+          isList: modifier === '[]'
+        };
+        continue;
+      }
+
+      const defaultValue = (rest.match(/@default\(([^)]*\)?)\)/) || [])[1];
+
+      if (defaultValue === 'now()') {
+        fields[field] = () => new Date();
+      } else if (defaultValue !== undefined && !defaultValue.startsWith('auto')) {
+        const value = type === 'Int' ? parseInt(defaultValue) : type === 'Boolean' ? defaultValue === 'true' : defaultValue.replace(/"/g, '');
+        fields[field] = () => value;
+      } else if (modifier === '[]') {
+        fields[field] = () => [];
+      } else if (modifier === '?') {
+        fields[field] = () => null;
+      }
+    }
+
+    defaults[lowerFirst(modelName)] = fields;
+    relations[lowerFirst(modelName)] = modelRelations;
+  }
+
+  return { defaults, relations };
+};
+
+const { defaults: SCHEMA_DEFAULTS, relations: SCHEMA_RELATIONS } = readSchema();
+
+const OPERATORS = [
+  'equals', 'not', 'in', 'notIn', 'lt', 'lte', 'gt', 'gte',
+  'has', 'contains', 'startsWith', 'isSet', 'mode'
+];
+
+const isPlainObject = (value) => {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+};
+
+const isOperatorObject = (value) => {
+  return isPlainObject(value) && Object.keys(value).length > 0
+    && Object.keys(value).every(key => OPERATORS.includes(key));
+};
+
+const comparable = (value) => (value instanceof Date ? value.getTime() : value);
+
+const isEqual = (a, b) => {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b)
+      && a.length === b.length && a.every((item, index) => isEqual(item, b[index]));
+  }
+
+  if (a === undefined || a === null) {
+    return b === undefined || b === null;
+  }
+
+  return comparable(a) === comparable(b);
+};
+
+const matchesOperators = (value, filter) => {
+  return Object.entries(filter).every(([operator, expected]) => {
+    const actual = comparable(value);
+    const target = comparable(expected);
+    const isMissing = value === undefined || value === null;
+
+    switch (operator) {
+      case 'equals': return isEqual(value, expected);
+      case 'not': return isOperatorObject(expected) ? !matchesOperators(value, expected) : !isEqual(value, expected);
+      case 'in': return expected.some(item => isEqual(value, item));
+      case 'notIn': return !expected.some(item => isEqual(value, item));
+      case 'lt': return !isMissing && actual < target;
+      case 'lte': return !isMissing && actual <= target;
+      case 'gt': return !isMissing && actual > target;
+      case 'gte': return !isMissing && actual >= target;
+      case 'has': return Array.isArray(value) && value.some(item => isEqual(item, expected));
+      case 'contains': return typeof value === 'string' && value.includes(expected);
+      case 'startsWith': return typeof value === 'string' && value.startsWith(expected);
+      case 'isSet': return (value !== undefined) === expected;
+      default: return true;
+    }
+  });
+};
+
+/**
+ * Check a record against a Prisma `where` clause
+ * @param {Object} record - Stored record
+ * @param {Object} where - Filter
+ * @returns {boolean} Whether the record matches
+ */
+const matches = (record, where = {}) => {
+  return Object.entries(where).every(([key, condition]) => {
+    if (condition === undefined) {
+      return true;
+    }
+
+    if (key === 'AND') {
+      return [].concat(condition).every(part => matches(record, part));
+    }
+
+    if (key === 'OR') {
+      return condition.some(part => matches(record, part));
+    }
+
+    if (key === 'NOT') {
+      return ![].concat(condition).some(part => matches(record, part));
+    }
+
+    // Compound unique keys such as userId_purpose
+    if (key.includes('_') && isPlainObject(condition) && !isOperatorObject(condition)) {
+      return matches(record, condition);
+    }
+
+    if (isOperatorObject(condition)) {
+      return matchesOperators(record[key], condition);
+    }
+
+    return isEqual(record[key], condition);
+  });
+};
+
+const applyData = (record, data) => {
+  for (const [key, value] of Object.entries(data)) {
+    if (value === undefined) {
+      continue;
+    }
+
+    if (isPlainObject(value)) {
+      if ('increment' in value) {
+        record[key] = (record[key] || 0) + value.increment;
+      } else if ('decrement' in value) {
+        record[key] = (record[key] || 0) - value.decrement;
+      } else if ('set' in value) {
+        record[key] = value.set;
+      } else if ('push' in value) {
+        record[key] = [...(record[key] || []), ...[].concat(value.push)];
+      }
+
+      // Nested writes to relations aren't modelled
+      continue;
+    }
+
+    record[key] = value;
+  }
+
+  record.updatedAt = new Date();
+  return record;
+};
+
+const prismaError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * In-memory stand-in for the Prisma client. Every call yields to the event
+ * loop before touching the data and then runs without interruption, like a
+ * single database statement, so requests started together interleave the
+ * way they would against a real database.
+ * @returns {Object} Fake client, with `$reset` and `$table(name)` for tests
+ */
+const createFakePrisma = () => {
+  const tables = new Map();
+
+  const table = (name) => {
+    if (!tables.has(name)) {
+      tables.set(name, []);
+    }
+
+    return tables.get(name);
+  };
+
+  const tick = () => new Promise(resolve => setImmediate(resolve));
+
+  const clone = (record) => (record ? { ...record } : record);
+
+  // Records a relation field of a record points to
+  const related = (name, record, field) => {
+    const relation = (SCHEMA_RELATIONS[name] || {})[field];
+
+    if (relation.foreignKey) {
+      const value = record[relation.foreignKey];
+      const matchesKey = candidate => (Array.isArray(value) ? value.includes(candidate.id) : candidate.id === value);
+      return relation.isList ? table(relation.model).filter(matchesKey) : table(relation.model).find(matchesKey) || null;
+    }
+
+    // The other side holds the key, e.g. User.devices through Device.userId
+    const backRelation = Object.values(SCHEMA_RELATIONS[relation.model])
+      .find(other => other.model === name && other.foreignKey && other.name === relation.name);
+    const matchesBack = candidate => candidate[backRelation.foreignKey] === record.id;
+
+    return relation.isList ? table(relation.model).filter(matchesBack) : table(relation.model).find(matchesBack) || null;
+  };
+
+  // Select or include fields and relations the way Prisma shapes results
+  const project = (name, record, { select, include } = {}) => {
+    if (!record) {
+      return null;
+    }
+
+    const result = select ? {} : clone(record);
+
+    for (const [field, value] of Object.entries(select || include || {})) {
+      if (!value) {
+        continue;
+      }
+
+      if (!(SCHEMA_RELATIONS[name] || {})[field]) {
+        result[field] = record[field];
+        continue;
+      }
+
+      const { model: relatedModel } = SCHEMA_RELATIONS[name][field];
+      const args = isPlainObject(value) ? value : {};
+      const records = related(name, record, field);
+
+      result[field] = Array.isArray(records)
+        ? records.filter(candidate => matches(candidate, args.where)).map(candidate => project(relatedModel, candidate, args))
+        : project(relatedModel, records, args);
+    }
+
+    return result;
+  };
+
+  const checkUnique = (name, record, ignore) => {
+    for (const fields of UNIQUE_FIELDS[name] || []) {
+      const duplicate = table(name).find(other => other !== ignore
+        && fields.every(field => isEqual(other[field], record[field])));
+
+      if (duplicate) {
+        throw prismaError('P2002', `Unique constraint failed on ${fields.join(', ')}`);
+      }
+    }
+  };
+
+  const insert = (name, data) => {
+    const record = { id: crypto.randomBytes(12).toString('hex') };
+
+    for (const [field, defaultValue] of Object.entries(SCHEMA_DEFAULTS[name] || {})) {
+      record[field] = defaultValue();
+    }
+
+    applyData(record, data);
+
+    checkUnique(name, record);
+    table(name).push(record);
+    return record;
+  };
+
+  const sortRecords = (records, orderBy) => {
+    const orders = [].concat(orderBy || []);
+
+    return [...records].sort((a, b) => {
+      for (const order of orders) {
+        const [[field, direction]] = Object.entries(order);
+        const difference = comparable(a[field]) > comparable(b[field]) ? 1 : comparable(a[field]) < comparable(b[field]) ? -1 : 0;
+
+        if (difference !== 0) {
+          return direction === 'desc' ? -difference : difference;
+        }
+      }
+
+      return 0;
+    });
+  };
+
+  const model = (name) => ({
+    async findUnique({ where, ...args }) {
+      await tick();
+      return project(name, table(name).find(record => matches(record, where)), args);
+    },
+
+    async findFirst({ where, orderBy, ...args } = {}) {
+      await tick();
+      return project(name, sortRecords(table(name).filter(record => matches(record, where)), orderBy)[0], args);
+    },
+
+    async findMany({ where, orderBy, take, skip = 0, ...args } = {}) {
+      await tick();
+      const records = sortRecords(table(name).filter(record => matches(record, where)), orderBy);
+      return records.slice(skip, take === undefined ? undefined : skip + take).map(record => project(name, record, args));
+    },
+
+    async count({ where } = {}) {
+      await tick();
+      return table(name).filter(record => matches(record, where)).length;
+    },
+
+    async create({ data, ...args }) {
+      await tick();
+      return project(name, insert(name, data), args);
+    },
+
+    async createMany({ data }) {
+      await tick();
+      data.forEach(item => insert(name, item));
+      return { count: data.length };
+    },
+
+    async update({ where, data, ...args }) {
+      await tick();
+      const record = table(name).find(candidate => matches(candidate, where));
+
+      if (!record) {
+        throw prismaError('P2025', 'Record to update not found');
+      }
+
+      applyData(record, data);
+      checkUnique(name, record, record);
+      return project(name, record, args);
+    },
+
+    async updateMany({ where, data }) {
+      await tick();
+      const records = table(name).filter(record => matches(record, where));
+      records.forEach(record => applyData(record, data));
+      return { count: records.length };
+    },
+
+    async upsert({ where, update, create, ...args }) {
+      await tick();
+      const record = table(name).find(candidate => matches(candidate, where));
+      return project(name, record ? applyData(record, update) : insert(name, create), args);
+    },
+
+    async delete({ where }) {
+      await tick();
+      const index = table(name).findIndex(record => matches(record, where));
+
+      if (index === -1) {
+        throw prismaError('P2025', 'Record to delete does not exist');
+      }
+
+      return table(name).splice(index, 1)[0];
+    },
+
+    async deleteMany({ where } = {}) {
+      await tick();
+      const remaining = table(name).filter(record => !matches(record, where));
+      const count = table(name).length - remaining.length;
+      tables.set(name, remaining);
+      return { count };
+    }
+  });
+
+  const models = new Map();
+
+  const client = {
+    $reset: () => tables.clear(),
+    $table: table,
+    $seed: (name, data) => insert(name, data),
+    $transaction: async (operations) => {
+      return typeof operations === 'function' ? operations(proxy) : Promise.all(operations);
+    }
+  };
+
+  const proxy = new Proxy(client, {
+    get: (target, property) => {
+      if (property in target || typeof property !== 'string') {
+        return target[property];
+      }
+
+      if (!models.has(property)) {
+        models.set(property, model(property));
+      }
+
+      return models.get(property);
+    }
+  });
+
+  return proxy;
+};
+
+/**
+ * Replace src/config/db with an in-memory client for the modules required
+ * after this call
+ * @returns {Object} The fake client
+ */
+const useFakePrisma = () => {
+  const prisma = createFakePrisma();
+  const dbPath = require.resolve(path.join(__dirname, '../../src/config/db'));
+
+  require.cache[dbPath] = {
+    id: dbPath,
+    filename: dbPath,
+    loaded: true,
+    exports: { prisma, connectDB: async () => ({ prisma }) }
+  };
+
+  return prisma;
+};
+
+/**
+ * Minimal Express response that records what a controller sent
+ * @returns {Object} Response with `statusCode` and `body`
+ */
+const createResponse = () => {
+  const res = {
+    statusCode: 200,
+    body: undefined,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+    set() {
+      return res;
+    }
+  };
+
+  return res;
+};
+
+/**
+ * 24-character hex ID like the ones MongoDB generates
+ * @returns {string} Object ID
+ */
+const objectId = () => crypto.randomBytes(12).toString('hex');
+
+module.exports = {
+  useFakePrisma,
+  createResponse,
+  objectId
+};
@@ -0,0 +1,48 @@
+// test/key.controller.test.js
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { useFakePrisma, createResponse } = require('./helpers/fakePrisma');
+
+const prisma = useFakePrisma();
+const { getKeyHistory, getSafetyNumber } = require('../src/controllers/key.controller');
+
+describe('key.controller', () => {
+  let alice;
+  let bob;
+
+  beforeEach(() => {
+    prisma.$reset();
+    alice = prisma.$seed('user', { phoneNumber: '+15550000001', publicKey: 'alice-key' });
+    bob = prisma.$seed('user', { phoneNumber: '+15550000002', publicKey: 'bob-key' });
+    prisma.$seed('publicKeyHistory', { userId: bob.id, publicKey: 'bob-key' });
+  });
+
+  describe('getKeyHistory', () => {
+    it("lists a user's keys", async () => {
+      const res = createResponse();
+
+      await getKeyHistory({ user: alice, params: { userId: bob.id } }, res);
+
+      assert.strictEqual(res.statusCode, 200);
+      assert.strictEqual(res.body.count, 1);
+    });
+
+    it('rejects invalid user IDs', async () => {
+      const res = createResponse();
+
+      await getKeyHistory({ user: alice, params: { userId: 'not-an-id' } }, res);
+
+      assert.strictEqual(res.statusCode, 400);
+    });
+  });
+
+  describe('getSafetyNumber', () => {
+    it('rejects invalid user IDs', async () => {
+      const res = createResponse();
+
+      await getSafetyNumber({ user: alice, params: { userId: 'not-an-id' } }, res);
+
+      assert.strictEqual(res.statusCode, 400);
+    });
+  });
+});
@@ -0,0 +1,66 @@
+// test/otp.util.test.js
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { useFakePrisma, objectId } = require('./helpers/fakePrisma');
+
+process.env.JWT_SECRET = 'test-secret';
+process.env.OTP_EXPIRY = '300';
+
+const prisma = useFakePrisma();
+const { OTP_MAX_ATTEMPTS, OTP_PURPOSES, saveOTP, verifyOTP } = require('../src/utils/otp.util');
+
+describe('otp.util', () => {
+  let userId;
+
+  beforeEach(async () => {
+    prisma.$reset();
+    userId = objectId();
+    await saveOTP(userId, '123456');
+  });
+
+  it('accepts the right code once', async () => {
+    assert.deepStrictEqual(await verifyOTP(userId, '123456'), { valid: true });
+    assert.strictEqual((await verifyOTP(userId, '123456')).reason, 'not_found');
+  });
+
+  it('keeps codes apart per purpose', async () => {
+    assert.strictEqual((await verifyOTP(userId, '123456', OTP_PURPOSES.TWO_FACTOR)).reason, 'not_found');
+  });
+
+  it('counts down the remaining attempts', async () => {
+    const result = await verifyOTP(userId, '000000');
+
+    assert.strictEqual(result.reason, 'invalid');
+    assert.strictEqual(result.attemptsRemaining, OTP_MAX_ATTEMPTS - 1);
+  });
+
+  it('locks after the last attempt, even for the right code', async () => {
+    for (let i = 0; i < OTP_MAX_ATTEMPTS; i++) {
+      await verifyOTP(userId, '000000');
+    }
+
+    const result = await verifyOTP(userId, '123456');
+
+    assert.strictEqual(result.reason, 'locked');
+    assert.ok(result.retryAfter > 0);
+  });
+
+  it('gives parallel guesses one attempt each', async () => {
+    const guesses = Array.from({ length: OTP_MAX_ATTEMPTS * 3 }, (_, i) => String(100000 + i));
+    const results = await Promise.all(guesses.map(guess => verifyOTP(userId, guess)));
+
+    assert.strictEqual(results.filter(result => result.reason === 'invalid').length, OTP_MAX_ATTEMPTS - 1);
+    assert.ok(results.every(result => !result.valid));
+
+    const [otpData] = prisma.$table('otpData');
+    assert.strictEqual(otpData.attempts, OTP_MAX_ATTEMPTS);
+    assert.ok(otpData.lockedUntil > new Date());
+  });
+
+  it('only verifies a bound code against its destination', async () => {
+    await saveOTP(userId, '654321', OTP_PURPOSES.CHANGE_NUMBER_NEW, '+15550000002');
+
+    assert.strictEqual((await verifyOTP(userId, '654321', OTP_PURPOSES.CHANGE_NUMBER_NEW, '+15550000003')).reason, 'invalid');
+    assert.deepStrictEqual(await verifyOTP(userId, '654321', OTP_PURPOSES.CHANGE_NUMBER_NEW, '+15550000002'), { valid: true });
+  });
+});
@@ -0,0 +1,74 @@
+// test/pin.service.test.js
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { useFakePrisma } = require('./helpers/fakePrisma');
+
+const prisma = useFakePrisma();
+const { hashPin, verifyPin, isRegistrationLockActive } = require('../src/services/pin.service');
+
+const PIN_MAX_ATTEMPTS = 5;
+
+describe('pin.service', () => {
+  let pinHash;
+  let user;
+
+  const freshUser = () => ({ ...prisma.$table('user').find(record => record.id === user.id) });
+
+  before(async () => {
+    pinHash = await hashPin('2468');
+  });
+
+  beforeEach(() => {
+    prisma.$reset();
+    user = prisma.$seed('user', { phoneNumber: '+15550000001', pinHash });
+  });
+
+  it('applies the registration lock to recently active accounts only', () => {
+    assert.strictEqual(isRegistrationLockActive(freshUser()), true);
+    assert.strictEqual(isRegistrationLockActive({ ...freshUser(), lastSeen: new Date(Date.now() - 8 * 24 * 60 * 60 * 1000) }), false);
+  });
+
+  it('accepts the right PIN and clears failed attempts', async () => {
+    await verifyPin(freshUser(), '0000');
+
+    assert.deepStrictEqual(await verifyPin(freshUser(), '2468'), { valid: true });
+    assert.strictEqual(freshUser().pinFailedAttempts, 0);
+  });
+
+  it('locks after too many wrong PINs, even for the right one', async () => {
+    for (let i = 1; i < PIN_MAX_ATTEMPTS; i++) {
+      const result = await verifyPin(freshUser(), '0000');
+      assert.strictEqual(result.attemptsRemaining, PIN_MAX_ATTEMPTS - i);
+    }
+
+    assert.deepStrictEqual(await verifyPin(freshUser(), '0000'), { valid: false, reason: 'locked', retryAfter: 5 * 60 });
+    assert.strictEqual((await verifyPin(freshUser(), '2468')).reason, 'locked');
+  });
+
+  it('escalates the lockout once for parallel guesses', async () => {
+    const snapshot = freshUser();
+    const guesses = Array.from({ length: PIN_MAX_ATTEMPTS * 2 }, (_, i) => String(1000 + i));
+
+    const results = await Promise.all(guesses.map(guess => verifyPin(snapshot, guess)));
+
+    assert.ok(results.every(result => !result.valid));
+    assert.strictEqual(results.filter(result => result.reason === 'invalid').length, PIN_MAX_ATTEMPTS - 1);
+    assert.strictEqual(freshUser().pinLockoutCount, 1);
+  });
+
+  it('makes each repeated lockout longer', async () => {
+    const stored = prisma.$table('user')[0];
+    stored.pinLockoutCount = 1;
+
+    for (let i = 1; i < PIN_MAX_ATTEMPTS; i++) {
+      await verifyPin(freshUser(), '0000');
+    }
+
+    assert.strictEqual((await verifyPin(freshUser(), '0000')).retryAfter, 30 * 60);
+
+    // Once the lockout has passed the attempts come back
+    stored.pinLockedUntil = new Date(Date.now() - 1000);
+
+    assert.strictEqual((await verifyPin(freshUser(), '0000')).attemptsRemaining, PIN_MAX_ATTEMPTS - 1);
+  });
+});
@@ -0,0 +1,52 @@
+// test/prekey.controller.test.js
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { useFakePrisma, createResponse } = require('./helpers/fakePrisma');
+
+const prisma = useFakePrisma();
+const { getPreKeyBundles } = require('../src/controllers/prekey.controller');
+
+describe('prekey.controller', () => {
+  let alice;
+  let bob;
+
+  beforeEach(() => {
+    prisma.$reset();
+    alice = prisma.$seed('user', { phoneNumber: '+15550000001' });
+    bob = prisma.$seed('user', { phoneNumber: '+15550000002' });
+
+    const device = prisma.$seed('device', { userId: bob.id, name: 'Phone', publicKey: 'bob-key', identityKey: 'identity' });
+    prisma.$seed('signedPreKey', { deviceId: device.id, keyId: 1, publicKey: 'signed', signature: 'signature' });
+    prisma.$seed('oneTimePreKey', { deviceId: device.id, keyId: 1, publicKey: 'one-time' });
+  });
+
+  describe('getPreKeyBundles', () => {
+    it("hands out a bundle per device with a one-time prekey", async () => {
+      const res = createResponse();
+
+      await getPreKeyBundles({ user: alice, params: { userId: bob.id } }, res);
+
+      assert.strictEqual(res.statusCode, 200);
+      assert.strictEqual(res.body.data[0].oneTimePreKey.publicKey, 'one-time');
+      assert.strictEqual(prisma.$table('oneTimePreKey').length, 0);
+    });
+
+    it('rejects invalid user IDs', async () => {
+      const res = createResponse();
+
+      await getPreKeyBundles({ user: alice, params: { userId: 'not-an-id' } }, res);
+
+      assert.strictEqual(res.statusCode, 400);
+    });
+
+    it('hides users who blocked the requester and keeps their prekeys', async () => {
+      prisma.$seed('block', { blockerId: bob.id, blockedId: alice.id });
+      const res = createResponse();
+
+      await getPreKeyBundles({ user: alice, params: { userId: bob.id } }, res);
+
+      assert.strictEqual(res.statusCode, 404);
+      assert.strictEqual(prisma.$table('oneTimePreKey').length, 1);
+    });
+  });
+});
@@ -0,0 +1,51 @@
+// test/privacy.util.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { applyPrivacy } = require('../src/utils/privacy.util');
+
+const OWNER = {
+  id: 'owner',
+  phoneNumber: '+15550000001',
+  lastSeen: new Date(0),
+  isOnline: true,
+  profilePic: 'owner.png',
+  status: 'Hi',
+  privacy: { phoneNumber: 'contacts' }
+};
+
+const visibilityFor = ({ isContact = false, isBlocked = false } = {}) => ({
+  contactOfIds: new Set(isContact ? ['owner'] : []),
+  blockedByIds: new Set(isBlocked ? ['owner'] : [])
+});
+
+describe('privacy.util', () => {
+  describe('applyPrivacy', () => {
+    it('shows owners their own profile in full', () => {
+      const user = applyPrivacy(OWNER, 'owner', visibilityFor());
+
+      assert.strictEqual(user.phoneNumber, OWNER.phoneNumber);
+      assert.ok(!('privacy' in user));
+    });
+
+    it('hides fields restricted to contacts from everyone else', () => {
+      assert.strictEqual(applyPrivacy(OWNER, 'viewer', visibilityFor()).phoneNumber, null);
+      assert.strictEqual(applyPrivacy(OWNER, 'viewer', visibilityFor({ isContact: true })).phoneNumber, OWNER.phoneNumber);
+    });
+
+    it('hides presence and profile from a blocked viewer', () => {
+      const user = applyPrivacy(OWNER, 'viewer', visibilityFor({ isContact: true, isBlocked: true }));
+
+      assert.deepStrictEqual(
+        [user.lastSeen, user.isOnline, user.profilePic, user.status],
+        [null, null, null, null]
+      );
+    });
+
+    it('still applies privacy settings for a blocked viewer', () => {
+      const owner = { ...OWNER, privacy: { phoneNumber: 'nobody' } };
+
+      assert.strictEqual(applyPrivacy(owner, 'viewer', visibilityFor({ isContact: true, isBlocked: true })).phoneNumber, null);
+      assert.strictEqual(applyPrivacy(owner, 'viewer', visibilityFor({ isBlocked: true })).phoneNumber, null);
+    });
+  });
+});
@@ -0,0 +1,275 @@
+// test/sdk.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const crypto = require('crypto');
+const { M2YouClient, M2YouError } = require('../src/sdk');
+
+const PHONE_NUMBER = '+15550000001';
+const OTP = '123456';
+
+/**
+ * In-memory stand-in for the API, implementing just the endpoints the
+ * tests exercise. Everything it stores is whatever the client sent, so
+ * plaintext never reaching it is observable.
+ */
+const createServer = () => {
+  const state = {
+    users: new Map(),
+    devices: new Map(),
+    messages: [],
+    media: new Map(),
+    tokens: new Map(),
+    refreshTokens: new Map(),
+    requests: []
+  };
+
+  const issueTokens = (userId) => {
+    const token = crypto.randomBytes(16).toString('hex');
+    const refreshToken = crypto.randomBytes(16).toString('hex');
+    state.tokens.set(token, userId);
+    state.refreshTokens.set(refreshToken, userId);
+    return { token, refreshToken };
+  };
+
+  const send = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const readBody = async (req) => {
+    const chunks = [];
+    for await (const chunk of req) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const raw = await readBody(req);
+    const isJson = (req.headers['content-type'] || '').startsWith('application/json');
+    const body = isJson && raw.length ? JSON.parse(raw) : {};
+    const bearer = (req.headers.authorization || '').replace(/^Bearer /, '');
+    const userId = state.tokens.get(bearer);
+    const route = `${req.method} ${url.pathname}`;
+
+    state.requests.push(route);
+
+    if (route === 'POST /api/auth/register') {
+      const id = crypto.randomBytes(12).toString('hex');
+      state.users.set(id, { id, phoneNumber: body.phoneNumber, publicKey: body.publicKey });
+      return send(res, 201, { success: true, userId: id });
+    }
+
+    if (route === 'POST /api/auth/verify') {
+      const user = state.users.get(body.userId);
+
+      if (!user || body.otp !== OTP) {
+        return send(res, 400, { success: false, message: 'Invalid or expired code' });
+      }
+
+      const device = { id: crypto.randomBytes(12).toString('hex'), userId: user.id, publicKey: body.publicKey };
+      state.devices.set(device.id, device);
+
+      return send(res, 200, { success: true, ...issueTokens(user.id), user: { id: user.id }, device });
+    }
+
+    if (route === 'POST /api/auth/refresh') {
+      const owner = state.refreshTokens.get(body.refreshToken);
+
+      if (!owner) {
+        return send(res, 401, { success: false, message: 'Invalid refresh token' });
+      }
+
+      state.refreshTokens.delete(body.refreshToken);
+      return send(res, 200, { success: true, ...issueTokens(owner) });
+    }
+
+    if (!userId) {
+      return send(res, 401, { success: false, message: 'Not authorized' });
+    }
+
+    if (route === 'GET /api/auth/profile') {
+      return send(res, 200, { success: true, user: { id: userId } });
+    }
+
+    const devicesMatch = url.pathname.match(/^\/api\/auth\/devices\/user\/(\w+)$/);
+
+    if (req.method === 'GET' && devicesMatch) {
+      const devices = [...state.devices.values()]
+        .filter(device => device.userId === devicesMatch[1])
+        .map(({ id, publicKey }) => ({ id, publicKey }));
+
+      return send(res, 200, { success: true, data: devices });
+    }
+
+    if (route === 'POST /api/messages') {
+      const message = { id: String(state.messages.length + 1), senderId: userId, ...body };
+      state.messages.push(message);
+      return send(res, 201, { success: true, data: message });
+    }
+
+    const conversationMatch = url.pathname.match(/^\/api\/messages\/user\/(\w+)$/);
+
+    if (req.method === 'GET' && conversationMatch) {
+      // Messages carry one wrapped key per device; hand back the one for
+      // the device that made the request
+      const device = [...state.devices.values()].find(d => d.userId === userId);
+      const data = state.messages
+        .filter(message => [message.senderId, message.receiverId].includes(conversationMatch[1]))
+        .map(({ encryptedKeys, ...message }) => ({ ...message, encryptedKey: encryptedKeys[device.id] }));
+
+      return send(res, 200, { success: true, data });
+    }
+
+    if (route === 'POST /api/media/upload') {
+      const form = await new Response(raw, { headers: { 'Content-Type': req.headers['content-type'] } }).formData();
+      const file = form.get('file');
+      const filename = crypto.randomBytes(8).toString('hex');
+      state.media.set(filename, Buffer.from(await file.arrayBuffer()));
+
+      return send(res, 201, {
+        success: true,
+        data: { uri: `/api/media/${filename}`, mediaType: file.type }
+      });
+    }
+
+    const mediaMatch = url.pathname.match(/^\/api\/media\/(\w+)$/);
+
+    if (req.method === 'GET' && mediaMatch && state.media.has(mediaMatch[1])) {
+      res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+      return res.end(state.media.get(mediaMatch[1]));
+    }
+
+    send(res, 404, { success: false, message: 'Not found' });
+  });
+
+  return { server, state };
+};
+
+describe('M2YouClient', () => {
+  let server;
+  let state;
+  let baseUrl;
+
+  const loggedInClient = async (phoneNumber) => {
+    const client = new M2YouClient({ baseUrl, ...M2YouClient.generateKeyPair() });
+    const { userId } = await client.register(phoneNumber);
+    await client.verify({ userId, otp: OTP, deviceName: 'test' });
+    return client;
+  };
+
+  before(async () => {
+    ({ server, state } = createServer());
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  it('requires a base URL and a key pair', () => {
+    assert.throws(() => new M2YouClient({ baseUrl }), /required/);
+  });
+
+  it('stores the session after verifying the code', async () => {
+    const client = await loggedInClient(PHONE_NUMBER);
+
+    assert.ok(client.accessToken);
+    assert.ok(client.refreshToken);
+    assert.ok(client.device.id);
+    assert.strictEqual(await client.currentUserId(), client.user.id);
+  });
+
+  it('throws M2YouError with the status and message of a failed request', async () => {
+    const client = new M2YouClient({ baseUrl, ...M2YouClient.generateKeyPair() });
+    const { userId } = await client.register('+15550000002');
+
+    await assert.rejects(client.verify({ userId, otp: '000000' }), (error) => {
+      assert.ok(error instanceof M2YouError);
+      assert.strictEqual(error.status, 400);
+      assert.strictEqual(error.message, 'Invalid or expired code');
+      return true;
+    });
+    assert.strictEqual(client.accessToken, null);
+  });
+
+  it('refreshes an expired access token once and retries the request', async () => {
+    const client = await loggedInClient('+15550000003');
+    const oldRefreshToken = client.refreshToken;
+
+    state.tokens.delete(client.accessToken);
+
+    const profile = await client.getProfile();
+
+    assert.strictEqual(profile.user.id, client.user.id);
+    assert.notStrictEqual(client.refreshToken, oldRefreshToken);
+  });
+
+  it('gives up when the refresh token is no longer valid', async () => {
+    const client = await loggedInClient('+15550000004');
+
+    state.tokens.delete(client.accessToken);
+    state.refreshTokens.delete(client.refreshToken);
+
+    await assert.rejects(client.getProfile(), { name: 'M2YouError', status: 401 });
+  });
+
+  it('encrypts direct messages for every device and decrypts them on receipt', async () => {
+    const alice = await loggedInClient('+15550000005');
+    const bob = await loggedInClient('+15550000006');
+
+    const sent = await alice.sendMessage(bob.user.id, 'hello bob');
+
+    assert.notStrictEqual(sent.content, 'hello bob');
+    assert.deepStrictEqual(
+      Object.keys(sent.encryptedKeys).sort(),
+      [alice.device.id, bob.device.id].sort()
+    );
+
+    const [received] = await bob.getMessages(alice.user.id);
+    assert.strictEqual(received.content, 'hello bob');
+
+    const [own] = await alice.getMessages(bob.user.id);
+    assert.strictEqual(own.content, 'hello bob');
+  });
+
+  it('marks messages it cannot decrypt instead of throwing', async () => {
+    const alice = await loggedInClient('+15550000007');
+    const bob = await loggedInClient('+15550000012');
+    const eve = new M2YouClient({ baseUrl, ...M2YouClient.generateKeyPair() });
+
+    await alice.sendMessage(bob.user.id, 'not for eve');
+    const [message] = await bob.getMessages(alice.user.id);
+
+    const result = eve.decryptIncoming(message);
+    assert.strictEqual(result.decryptionFailed, true);
+    assert.strictEqual(result.content, message.content);
+    assert.strictEqual(eve.decryptIncoming({ content: 'x' }).decryptionFailed, true);
+  });
+
+  it('refuses to send to a user without linked devices', async () => {
+    const client = await loggedInClient('+15550000008');
+    const { userId } = await client.register('+15550000009');
+
+    await assert.rejects(client.sendMessage(userId, 'anyone there?'), { status: 409 });
+  });
+
+  it('uploads media encrypted and decrypts it on download', async () => {
+    const alice = await loggedInClient('+15550000010');
+    const bob = await loggedInClient('+15550000011');
+    const data = crypto.randomBytes(2048);
+
+    await alice.sendMessage(bob.user.id, 'photo', {
+      media: { data, filename: 'photo.bin', mimeType: 'application/octet-stream' }
+    });
+
+    const stored = [...state.media.values()].at(-1);
+    assert.strictEqual(stored.includes(data), false);
+
+    const [message] = await bob.getMessages(alice.user.id);
+    const downloaded = await bob.downloadMedia(message);
+
+    assert.ok(downloaded.equals(data));
+  });
+});
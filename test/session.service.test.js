@@ -0,0 +1,48 @@
+// test/session.service.test.js
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const { useFakePrisma } = require('./helpers/fakePrisma');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const prisma = useFakePrisma();
+const { createSession, rotateSession } = require('../src/services/session.service');
+
+describe('session.service', () => {
+  let user;
+
+  beforeEach(() => {
+    prisma.$reset();
+    user = prisma.$seed('user', { phoneNumber: '+15550000001' });
+  });
+
+  it('rotates a refresh token once', async () => {
+    const { refreshToken } = await createSession(user);
+
+    const rotated = await rotateSession(refreshToken);
+
+    assert.ok(rotated);
+    assert.notStrictEqual(rotated.refreshToken, refreshToken);
+    assert.ok(await rotateSession(rotated.refreshToken));
+  });
+
+  it('revokes the session when a rotated token is replayed', async () => {
+    const { refreshToken, session } = await createSession(user);
+    const rotated = await rotateSession(refreshToken);
+
+    assert.strictEqual(await rotateSession(refreshToken), null);
+    assert.strictEqual(await rotateSession(rotated.refreshToken), null);
+    assert.ok(prisma.$table('session').find(record => record.id === session.id).revokedAt);
+  });
+
+  it('lets only one of two parallel refreshes with the same token succeed', async () => {
+    const { refreshToken } = await createSession(user);
+
+    const results = await Promise.all([
+      rotateSession(refreshToken),
+      rotateSession(refreshToken)
+    ]);
+
+    assert.strictEqual(results.filter(Boolean).length, 1);
+  });
+});
@@ -0,0 +1,116 @@
+// test/twoFactor.service.test.js
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { useFakePrisma } = require('./helpers/fakePrisma');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const prisma = useFakePrisma();
+const { encryptTOTPSecret, hashRecoveryCode } = require('../src/utils/totp.util');
+const { OTP_MAX_ATTEMPTS } = require('../src/utils/otp.util');
+const { verifyAuthenticatorCode } = require('../src/services/twoFactor.service');
+
+const RECOVERY_CODES = ['aaaaa-11111', 'bbbbb-22222', 'ccccc-33333'];
+
+/**
+ * Base32 encode a key the way authenticator apps receive it
+ * @param {Buffer} key - Secret bytes
+ * @returns {string} Base32 secret
+ */
+const toBase32 = (key) => {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+  const bits = [...key].map(byte => byte.toString(2).padStart(8, '0')).join('');
+  return bits.match(/.{1,5}/g).map(chunk => alphabet[parseInt(chunk.padEnd(5, '0'), 2)]).join('');
+};
+
+/**
+ * Current code of an authenticator app (RFC 6238)
+ * @param {Buffer} key - Secret bytes
+ * @returns {string} 6-digit code
+ */
+const currentCode = (key) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(Date.now() / 1000 / 30)));
+
+  const hmac = crypto.createHmac('sha1', key).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  return ((hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000).toString().padStart(6, '0');
+};
+
+describe('twoFactor.service', () => {
+  let key;
+  let user;
+
+  const freshUser = () => ({ ...prisma.$table('user').find(record => record.id === user.id) });
+
+  beforeEach(() => {
+    prisma.$reset();
+    key = crypto.randomBytes(20);
+    user = prisma.$seed('user', {
+      phoneNumber: '+15550000001',
+      totpEnabled: true,
+      totpSecret: encryptTOTPSecret(toBase32(key)),
+      recoveryCodes: RECOVERY_CODES.map(hashRecoveryCode)
+    });
+  });
+
+  it('accepts the current authenticator code once', async () => {
+    const code = currentCode(key);
+
+    assert.strictEqual((await verifyAuthenticatorCode(freshUser(), code)).valid, true);
+    assert.strictEqual((await verifyAuthenticatorCode(freshUser(), code)).reason, 'invalid');
+  });
+
+  it('accepts an authenticator code only once when used in parallel', async () => {
+    const code = currentCode(key);
+    const snapshot = freshUser();
+
+    const results = await Promise.all([
+      verifyAuthenticatorCode(snapshot, code),
+      verifyAuthenticatorCode(snapshot, code)
+    ]);
+
+    assert.strictEqual(results.filter(result => result.valid).length, 1);
+  });
+
+  it('uses up a recovery code', async () => {
+    const result = await verifyAuthenticatorCode(freshUser(), RECOVERY_CODES[0]);
+
+    assert.deepStrictEqual(result, { valid: true, usedRecoveryCode: true });
+    assert.strictEqual((await verifyAuthenticatorCode(freshUser(), RECOVERY_CODES[0])).reason, 'invalid');
+    assert.strictEqual(freshUser().recoveryCodes.length, RECOVERY_CODES.length - 1);
+  });
+
+  it('accepts a recovery code only once when used in parallel', async () => {
+    const snapshot = freshUser();
+
+    const results = await Promise.all([
+      verifyAuthenticatorCode(snapshot, RECOVERY_CODES[0]),
+      verifyAuthenticatorCode(snapshot, RECOVERY_CODES[0])
+    ]);
+
+    assert.strictEqual(results.filter(result => result.valid).length, 1);
+  });
+
+  it("doesn't bring back a recovery code used by a parallel login", async () => {
+    const snapshot = freshUser();
+
+    const results = await Promise.all([
+      verifyAuthenticatorCode(snapshot, RECOVERY_CODES[0]),
+      verifyAuthenticatorCode(snapshot, RECOVERY_CODES[1])
+    ]);
+
+    assert.ok(results.every(result => result.valid));
+    assert.deepStrictEqual(freshUser().recoveryCodes, [hashRecoveryCode(RECOVERY_CODES[2])]);
+  });
+
+  it('locks after too many wrong codes', async () => {
+    for (let i = 0; i < OTP_MAX_ATTEMPTS - 1; i++) {
+      assert.strictEqual((await verifyAuthenticatorCode(freshUser(), 'zzzzz-00000')).reason, 'invalid');
+    }
+
+    assert.strictEqual((await verifyAuthenticatorCode(freshUser(), 'zzzzz-00000')).reason, 'locked');
+    assert.strictEqual((await verifyAuthenticatorCode(freshUser(), currentCode(key))).reason, 'locked');
+  });
+});